@@ -5,14 +5,128 @@
 
 // Configuration
 const CONFIG = {
-  MESSAGE_TYPES: ['UPDATE_LISTS', 'UPDATE_PRODUCT', 'GET_STORED_LISTS', 'OPEN_SIDEBAR'],
-  LOG_PREFIX: '[bg]'
+  MESSAGE_TYPES: [
+    'UPDATE_LISTS', 'UPDATE_PRODUCT', 'GET_STORED_LISTS', 'OPEN_SIDEBAR', 'GET_LIST_ITEMS', 'OPERATIONS_UPDATE',
+    'DISPATCH_ADD_TO_LIST', 'GET_PENDING_JOBS', 'RETRY_PENDING_JOB', 'DISCARD_PENDING_JOB', 'ADD_BY_ASIN',
+    'GET_PRICE_HISTORY', 'GET_ALERT_RULES', 'SAVE_ALERT_RULE', 'DELETE_ALERT_RULE', 'ITEM_ADDED'
+  ],
+  LOG_PREFIX: '[bg]',
+  ADD_BY_ASIN: {
+    PAGE_LOAD_TIMEOUT_MS: 30000
+  },
+  // Mirrors MARKETPLACES and MARKETPLACE_LIST_URLS in config/extension-config.js
+  MARKETPLACES: {
+    'com': { country: 'US', name: 'United States', currency: 'USD', locale: 'en-US', decimalSeparator: '.' },
+    'ca': { country: 'CA', name: 'Canada', currency: 'CAD', locale: 'en-CA', decimalSeparator: '.' },
+    'com.mx': { country: 'MX', name: 'Mexico', currency: 'MXN', locale: 'es-MX', decimalSeparator: '.' },
+    'com.br': { country: 'BR', name: 'Brazil', currency: 'BRL', locale: 'pt-BR', decimalSeparator: ',' },
+    'co.uk': { country: 'GB', name: 'United Kingdom', currency: 'GBP', locale: 'en-GB', decimalSeparator: '.' },
+    'ie': { country: 'IE', name: 'Ireland', currency: 'EUR', locale: 'en-IE', decimalSeparator: '.' },
+    'de': { country: 'DE', name: 'Germany', currency: 'EUR', locale: 'de-DE', decimalSeparator: ',' },
+    'fr': { country: 'FR', name: 'France', currency: 'EUR', locale: 'fr-FR', decimalSeparator: ',' },
+    'it': { country: 'IT', name: 'Italy', currency: 'EUR', locale: 'it-IT', decimalSeparator: ',' },
+    'es': { country: 'ES', name: 'Spain', currency: 'EUR', locale: 'es-ES', decimalSeparator: ',' },
+    'nl': { country: 'NL', name: 'Netherlands', currency: 'EUR', locale: 'nl-NL', decimalSeparator: ',' },
+    'com.be': { country: 'BE', name: 'Belgium', currency: 'EUR', locale: 'fr-BE', decimalSeparator: ',' },
+    'se': { country: 'SE', name: 'Sweden', currency: 'SEK', locale: 'sv-SE', decimalSeparator: ',' },
+    'pl': { country: 'PL', name: 'Poland', currency: 'PLN', locale: 'pl-PL', decimalSeparator: ',' },
+    'com.tr': { country: 'TR', name: 'Türkiye', currency: 'TRY', locale: 'tr-TR', decimalSeparator: ',' },
+    'ae': { country: 'AE', name: 'United Arab Emirates', currency: 'AED', locale: 'en-AE', decimalSeparator: '.' },
+    'sa': { country: 'SA', name: 'Saudi Arabia', currency: 'SAR', locale: 'ar-SA', decimalSeparator: '.' },
+    'eg': { country: 'EG', name: 'Egypt', currency: 'EGP', locale: 'ar-EG', decimalSeparator: '.' },
+    'co.za': { country: 'ZA', name: 'South Africa', currency: 'ZAR', locale: 'en-ZA', decimalSeparator: '.' },
+    'in': { country: 'IN', name: 'India', currency: 'INR', locale: 'en-IN', decimalSeparator: '.' },
+    'co.jp': { country: 'JP', name: 'Japan', currency: 'JPY', locale: 'ja-JP', decimalSeparator: '.' },
+    'sg': { country: 'SG', name: 'Singapore', currency: 'SGD', locale: 'en-SG', decimalSeparator: '.' },
+    'com.au': { country: 'AU', name: 'Australia', currency: 'AUD', locale: 'en-AU', decimalSeparator: '.' }
+  },
+  MARKETPLACE_LIST_URLS: {
+    listPath: '/hz/wishlist/ls/{listId}',
+    moreItemsPathPrefix: '/hz/wishlist/'
+  },
+
+  PRICE_STRATEGIES: {
+    STORAGE_KEY: 'priceStrategyOrder',
+    SELECTORS: {
+      PRODUCT_PRICE: ['#corePrice_feature_div .a-price', '#corePriceDisplay_desktop_feature_div .priceToPay', '#corePrice_desktop .a-price', '#price_inside_buybox', '#newBuyBoxPrice', '#priceblock_ourprice'],
+      PRICE_PAPERBACK: ['#tmm-grid-swatch-PAPERBACK .slot-price'],
+      PRICE_HARDCOVER: ['#tmm-grid-swatch-HARDCOVER .slot-price'],
+      PRICE_USED_AND_NEW: ['.olp-link.aod-popover-caret-link'],
+      PRICE_DEAL: ['#priceblock_dealprice', '#dealprice_feature_div .a-price', '#corePriceDisplay_desktop_feature_div:has(#dealBadge_feature_div .a-badge-text) .priceToPay'],
+      PRICE_RANGE: ['#corePriceDisplay_desktop_feature_div .a-price-range', '#corePrice_desktop .a-price-range', '#apex_desktop .a-price-range'],
+      PRICE_SUBSCRIBE_SAVE: ['#sns-base-price', '#snsAccordionRowMiddle .a-price', '#subscriptionPrice .a-price'],
+      PRICE_KINDLE: ['#kindle-price', '#tmm-grid-swatch-KINDLE .slot-price', '#digital-list-price .a-color-price'],
+      CATEGORY_BREADCRUMB: ['#wayfinding-breadcrumbs_feature_div li:first-child a', '#wayfinding-breadcrumbs_container li:first-child a']
+    },
+    CATEGORIES: [
+      { id: 'kindle', pattern: /kindle|digital-text|ebook/i },
+      { id: 'books', pattern: /^(?:books?|stripbooks|bücher|livres|libros|libri|livros|boeken|böcker|książki|kitaplar|kitap|كتب|本)(?![a-z])/i },
+      { id: 'electronics', pattern: /electronics|computers|elektronik|électronique|electrónica|elettronica|elektronica|eletrônicos|إلكترونيات|家電|パソコン/i },
+      { id: 'grocery', pattern: /grocery|gourmet|lebensmittel|épicerie|alimentación|alimentari|levensmiddelen|livsmedel|spożywcze|gıda|supermercado|بقالة|食品/i },
+      { id: 'home', pattern: /home|kitchen|garden|küche|garten|maison|cuisine|hogar|cocina|casa|keuken|kök|kuchnia|mutfak|cozinha|المنزل|ホーム/i }
+    ],
+    DEFAULT_ORDERS: {
+      books: ['book_formats', 'buy_box', 'kindle'],
+      kindle: ['kindle', 'buy_box', 'book_formats'],
+      grocery: ['deal', 'buy_box', 'subscribe_save', 'range'],
+      default: ['deal', 'buy_box', 'range', 'subscribe_save', 'kindle', 'book_formats']
+    }
+  },
+  ADDED_ITEMS: {
+    STORAGE_KEY: 'addedItems',
+    MAX_ITEMS: 1000
+  },
+  PRICE_HISTORY: {
+    STORAGE_KEY: 'priceHistory',
+    MAX_POINTS_PER_PRODUCT: 120,
+    MAX_AGE_DAYS: 365,
+    MAX_PRODUCTS: 500,
+    // Revisiting a page only adds a point when the price moved or this much time passed
+    MIN_INTERVAL_MS: 6 * 60 * 60 * 1000
+  },
+  PRICE_ALERTS: {
+    STORAGE_KEY: 'priceAlerts',
+    ALARM_NAME: 'price-alert-refresh',
+    REFRESH_MINUTES: 360,
+    ICON: 'icons/icon-48.png',
+    // Notification ids are "<prefix>|<marketplace>|<asin>|<time>", so a click
+    // still finds its product after the event page has been unloaded
+    NOTIFICATION_PREFIX: 'price-alert',
+    // Safety stop for the "show more" chain of very long lists
+    MAX_LIST_PAGES: 50
+  },
+  PENDING_JOBS: {
+    STORAGE_KEY: 'pendingJobs',
+    // Content-script answers meaning "not this page", so the job waits for another tab
+    WAIT_ERRORS: ['not_on_product_page', 'product_changed']
+  },
+  // Account ids are "name-" plus a hash of the page greeting's name
+  NAME_ACCOUNT_PREFIX: 'name-',
+  LIST_PAGE: {
+    FETCH_TIMEOUT_MS: 15000,
+    // The label before an item's added date, by the store's language
+    ADDED_DATE_LABELS: {
+      en: /^(?:item\s+)?added(?:\s+on)?\s*:?\s*/i,
+      de: /^(?:artikel\s+)?hinzugefügt(?:\s+am)?\s*:?\s*/i,
+      fr: /^(?:article\s+)?ajouté(?:\s+le)?\s*:?\s*/i,
+      es: /^(?:artículo\s+)?añadido(?:\s+el)?\s*:?\s*/i,
+      it: /^(?:articolo\s+)?aggiunto(?:\s+il)?\s*:?\s*/i,
+      nl: /^(?:artikel\s+)?toegevoegd(?:\s+op)?\s*:?\s*/i,
+      sv: /^(?:artikel\s+)?tillagd(?:\s+den)?\s*:?\s*/i,
+      pl: /^(?:produkt\s+)?dodano(?:\s+dnia)?\s*:?\s*/i,
+      pt: /^(?:item\s+)?adicionado(?:\s+em)?\s*:?\s*/i,
+      tr: /^(?:ürün\s+)?(?:eklendi|eklenme tarihi)\s*:?\s*/i,
+      ja: /^(?:商品が)?追加(?:日|されました)?\s*[:：]?\s*/,
+      ar: /^(?:تمت الإضافة|أضيف)(?:\s+في)?\s*:?\s*/
+    }
+  }
 };
 
 // MessageGatekeeper class (simplified inline version)
 class MessageGatekeeper {
-  constructor() {
+  constructor(marketplaces) {
     this.allowedTypes = CONFIG.MESSAGE_TYPES;
+    this.marketplaces = marketplaces;
   }
 
   validateMessage(message, sender) {
@@ -37,22 +151,666 @@ class MessageGatekeeper {
 
   _isFromAmazon(sender) {
     if (!sender || !sender.tab || !sender.tab.url) return false;
+    return this.marketplaces.isMarketplaceUrl(sender.tab.url);
+  }
+}
+
+// Parses Amazon list pages (and their "show more" batches) into plain items
+class ListPageParser {
+  constructor(marketplaces) {
+    this.marketplaces = marketplaces;
+  }
+
+  parse(html, origin) {
+    const marketplace = this.marketplaces.forUrl(origin);
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const rows = doc.querySelectorAll('li[data-itemid]');
+    const items = [];
+    
+    const priceParser = new PriceParser(marketplace || {});
+    
+    rows.forEach(row => {
+      const item = this._parseItem(row, origin, priceParser, marketplace);
+      if (item) items.push(item);
+    });
+    
+    return {
+      items,
+      nextPageToken: this._findNextPageToken(doc, marketplace),
+      listName: doc.querySelector('#profile-list-name, #listTitle')?.textContent.trim() || ''
+    };
+  }
+
+  _parseItem(row, origin, priceParser, marketplace) {
+    const itemId = row.getAttribute('data-itemid');
+    const asin = this._findAsin(row);
+    if (!itemId && !asin) return null;
+    
+    const byId = (prefix) => row.querySelector(`[id="${prefix}${itemId}"]`);
+    const titleEl = byId('itemName_') || row.querySelector('a[id^="itemName_"]');
+    const priceEl = byId('itemPrice_') || row.querySelector('[id^="itemPrice_"]');
+    const imageEl = row.querySelector(`[id="itemImage_${itemId}"] img`) || row.querySelector('img');
+    const dateEl = byId('itemAddedDate_') || row.querySelector('[id^="itemAddedDate_"]');
+    
+    const priceText = priceEl
+      ? (priceEl.querySelector('.a-offscreen')?.textContent || priceEl.textContent || '').trim()
+      : '';
+    const parsedPrice = priceText ? priceParser.parse(priceText) : null;
+    
+    return {
+      itemId,
+      asin,
+      title: (titleEl?.getAttribute('title') || titleEl?.textContent || '').trim(),
+      price: priceText,
+      priceAmount: parsedPrice ? parsedPrice.amount : null,
+      currency: parsedPrice?.currency || '',
+      image: imageEl?.getAttribute('src') || '',
+      dateAdded: this._addedDate(dateEl, marketplace),
+      url: asin ? `${origin}/dp/${asin}` : ''
+    };
+  }
+
+  // When the label and the date are separate nodes the last one is the date;
+  // otherwise the label is cut off in the store's language or English
+  _addedDate(dateEl, marketplace) {
+    if (!dateEl) return '';
+    const parts = [...dateEl.childNodes].map(node => (node.textContent || '').trim()).filter(Boolean);
+    const text = (parts.length > 1 ? parts[parts.length - 1] : dateEl.textContent || '').replace(/\s+/g, ' ').trim();
+    const language = String(marketplace?.locale || 'en').split('-')[0];
+    const labels = [CONFIG.LIST_PAGE.ADDED_DATE_LABELS[language], CONFIG.LIST_PAGE.ADDED_DATE_LABELS.en].filter(Boolean);
+    const label = labels.find(pattern => pattern.test(text));
+    return label ? text.replace(label, '').trim() : text;
+  }
+
+  _findAsin(row) {
+    const params = row.getAttribute('data-reposition-action-params') || '';
+    const paramsMatch = params.match(/ASIN:([A-Z0-9]{10})/i);
+    if (paramsMatch) return paramsMatch[1].toUpperCase();
+    
+    const link = row.querySelector('a[href*="/dp/"], a[href*="/gp/product/"]');
+    const linkMatch = (link?.getAttribute('href') || '').match(/(?:\/dp\/|\/gp\/product\/)([A-Z0-9]{10})/i);
+    return linkMatch ? linkMatch[1].toUpperCase() : null;
+  }
+
+  // Amazon lazy-loads long lists; the next batch URL sits in a hidden input
+  _findNextPageToken(doc, marketplace) {
+    if (!marketplace || doc.querySelector('#endOfListMarker')) return null;
+    
+    const moreUrl = doc.querySelector('input[name="showMoreUrl"]')?.getAttribute('value') ||
+                    doc.querySelector('.wl-see-more a, a.wl-see-more')?.getAttribute('href') ||
+                    '';
+    return moreUrl.startsWith(marketplace.moreItemsPathPrefix) ? moreUrl : null;
+  }
+}
+
+// Pending list operations, kept in storage.local so they survive navigation,
+// closed sidebars and background restarts. Jobs are keyed by marketplace and ASIN.
+class PendingJobStore {
+  constructor(storageKey, options = {}) {
+    this.storageKey = storageKey;
+    this.onChange = options.onChange || (() => {});
+    this.writeChain = Promise.resolve();
+  }
+
+  static key(marketplace, asin) {
+    return `${marketplace}:${asin}`;
+  }
+
+  async getAll() {
+    const result = await browser.storage.local.get(this.storageKey);
+    return Array.isArray(result?.[this.storageKey]) ? result[this.storageKey] : [];
+  }
+
+  async get(id) {
+    return (await this.getAll()).find(job => job.id === id) || null;
+  }
+
+  async findByKey(key) {
+    return (await this.getAll()).filter(job => job.key === key);
+  }
+
+  // The same add for the same product is stored once
+  add(fields) {
+    return this._mutate(jobs => {
+      const key = PendingJobStore.key(fields.marketplace, fields.asin);
+      const existing = jobs.find(job => job.key === key && job.type === fields.type && job.listId === fields.listId);
+      if (existing) return { jobs, result: existing };
+
+      const now = Date.now();
+      const job = {
+        id: `job-${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        key,
+        status: 'pending',
+        attempts: 0,
+        lastError: null,
+        createdAt: now,
+        updatedAt: now,
+        ...fields
+      };
+      return { jobs: [...jobs, job], result: job };
+    });
+  }
+
+  update(id, changes) {
+    return this._mutate(jobs => {
+      let updated = null;
+      const next = jobs.map(job => {
+        if (job.id !== id) return job;
+        updated = { ...job, ...changes, updatedAt: Date.now() };
+        return updated;
+      });
+      return { jobs: next, result: updated };
+    });
+  }
+
+  remove(id) {
+    return this._mutate(jobs => {
+      const next = jobs.filter(job => job.id !== id);
+      return { jobs: next, result: next.length !== jobs.length };
+    });
+  }
+
+  // A job left running by a previous background instance never got its answer
+  resetInterrupted() {
+    return this._mutate(jobs => ({
+      jobs: jobs.map(job => job.status === 'running' ? { ...job, status: 'pending' } : job),
+      result: true
+    }));
+  }
+
+  // Read-modify-write calls are chained so concurrent updates don't drop each other
+  _mutate(change) {
+    const run = this.writeChain.then(async () => {
+      const { jobs, result } = change(await this.getAll());
+      await browser.storage.local.set({ [this.storageKey]: jobs });
+      try { this.onChange(jobs); } catch (_) {}
+      return result;
+    });
+    this.writeChain = run.catch(() => {});
+    return run;
+  }
+}
+
+// Products added through the extension, per marketplace, account and ASIN,
+// with the product details captured at the time of the last add
+class AddedItemStore {
+  constructor(storageKey, options = {}) {
+    this.storageKey = storageKey;
+    this.maxItems = options.maxItems || 1000;
+    this.writeChain = Promise.resolve();
+  }
+
+  async getAll() {
+    const result = await browser.storage.local.get(this.storageKey);
+    const all = result?.[this.storageKey];
+    return all && typeof all === 'object' ? all : {};
+  }
+
+  record(scope, { listId, listName, productInfo }) {
+    const run = this.writeChain.then(async () => {
+      const all = await this.getAll();
+      const key = `${scope.id}:${productInfo.asin}`;
+      const now = Date.now();
+      const entry = all[key] || {
+        marketplace: scope.marketplace,
+        accountId: scope.accountId,
+        asin: productInfo.asin,
+        lists: []
+      };
+      
+      all[key] = {
+        ...entry,
+        title: productInfo.title || entry.title || '',
+        image: productInfo.image || entry.image || '',
+        price: productInfo.price || '',
+        priceAmount: productInfo.priceAmount ?? null,
+        currency: productInfo.currency || '',
+        details: productInfo.details || entry.details || {},
+        lists: [
+          ...entry.lists.filter(list => list.listId !== listId),
+          { listId, listName: listName || '', addedAt: now }
+        ],
+        updatedAt: now
+      };
+      
+      const keys = Object.keys(all);
+      if (keys.length > this.maxItems) {
+        keys.sort((a, b) => (all[a].updatedAt || 0) - (all[b].updatedAt || 0))
+          .slice(0, keys.length - this.maxItems)
+          .forEach(oldKey => delete all[oldKey]);
+      }
+      
+      await browser.storage.local.set({ [this.storageKey]: all });
+      return all[key];
+    });
+    this.writeChain = run.catch(() => {});
+    return run;
+  }
+}
+
+// MarketplaceRegistry class (simplified inline version)
+class MarketplaceRegistry {
+  constructor(marketplaces = {}, listUrlPatterns = {}) {
+    this.marketplaces = marketplaces;
+    this.listUrlPatterns = listUrlPatterns;
+  }
+
+  get(key) {
+    const suffix = String(key || '').toLowerCase().replace(/^amazon\./, '');
+    const entry = this.marketplaces[suffix];
+    if (!entry) return null;
+    return { ...this.listUrlPatterns, ...entry, suffix, domain: `amazon.${suffix}` };
+  }
+
+  // Only the store's own domain and its subdomains count
+  forHostname(hostname) {
+    const host = String(hostname || '').toLowerCase().replace(/\.$/, '');
+    const match = host.match(/(?:^|\.)amazon\.([a-z.]+)$/);
+    return match ? this.get(match[1]) : null;
+  }
+
+  forUrl(url) {
     try {
-      const url = new URL(sender.tab.url);
-      return /(^|\.)amazon\./i.test(url.hostname);
+      const parsed = new URL(url);
+      return parsed.protocol === 'https:' ? this.forHostname(parsed.hostname) : null;
     } catch (_) {
-      return false;
+      return null;
     }
   }
+
+  isMarketplaceUrl(url) {
+    return this.forUrl(url) !== null;
+  }
+
+  origin(key) {
+    const marketplace = this.get(key);
+    return marketplace ? `https://www.${marketplace.domain}` : null;
+  }
+
+  listPath(key, listId) {
+    const marketplace = this.get(key);
+    return marketplace ? marketplace.listPath.replace('{listId}', encodeURIComponent(listId)) : null;
+  }
+}
+
+// Longest symbols first so "US$" wins over "$"
+const CURRENCY_SYMBOLS = [
+  ['US$', 'USD'], ['CA$', 'CAD'], ['AU$', 'AUD'], ['MX$', 'MXN'],
+  ['C$', 'CAD'], ['A$', 'AUD'], ['S$', 'SGD'], ['R$', 'BRL'],
+  ['£', 'GBP'], ['€', 'EUR'], ['￥', 'JPY'], ['¥', 'JPY'], ['₹', 'INR'], ['₺', 'TRY'],
+  ['د.إ', 'AED'], ['ر.س', 'SAR'], ['ج.م', 'EGP'], ['zł', 'PLN'], ['kr', 'SEK'], ['TL', 'TRY'],
+  ['USD', 'USD'], ['CAD', 'CAD'], ['AUD', 'AUD'], ['MXN', 'MXN'], ['SGD', 'SGD'],
+  ['BRL', 'BRL'], ['GBP', 'GBP'], ['EUR', 'EUR'], ['JPY', 'JPY'], ['INR', 'INR'],
+  ['TRY', 'TRY'], ['AED', 'AED'], ['SAR', 'SAR'], ['PLN', 'PLN'], ['SEK', 'SEK'],
+  ['EGP', 'EGP'], ['ZAR', 'ZAR'],
+  ['R', 'ZAR'], ['$', null]
+];
+
+// PriceParser class (simplified inline version)
+class PriceParser {
+  constructor(options = {}) {
+    this.currency = options.currency || null;
+    this.decimalSeparator = options.decimalSeparator || '.';
+    this.pricePattern = this._buildPricePattern();
+  }
+
+  _buildPricePattern() {
+    const escape = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const symbols = CURRENCY_SYMBOLS.map(([symbol]) =>
+      /^[A-Za-z]/.test(symbol) ? `(?<![A-Za-z])${escape(symbol)}(?![A-Za-z])` : escape(symbol)
+    ).join('|');
+    // Grouped numbers must be tried first, or "1,234.56" would stop at "1,23";
+    // amazon.in groups by lakh ("1,23,456.00")
+    const number = "\\d{1,2}(?:,\\d{2})+,\\d{3}(?:\\.\\d{1,2})?(?!\\d)|\\d{1,3}(?:[.,\\u00a0\\u202f' ]\\d{3})+(?:[.,]\\d{1,2})?(?!\\d)|\\d+(?:[.,]\\d{1,2})?(?!\\d)";
+    return new RegExp(`(${symbols})\\s?(${number})|(${number})\\s?(${symbols})`);
+  }
+
+  // Returns { amount, currency, raw } for the first price in the text, or null
+  parse(text) {
+    const source = String(text || '');
+    const match = source.match(this.pricePattern);
+
+    if (match) {
+      const symbol = match[1] || match[4];
+      const amount = this._parseNumber(match[2] || match[3]);
+      if (amount === null) return null;
+      return { amount, currency: this._currencyFor(symbol), raw: match[0].trim() };
+    }
+
+    // Some swatches show only the number; anything longer could be a count
+    const bare = source.trim();
+    const amount = /^\d[\d.,\s\u00a0\u202f']*$/.test(bare) ? this._parseNumber(bare) : null;
+    return amount === null ? null : { amount, currency: this.currency, raw: bare };
+  }
+
+  _currencyFor(symbol) {
+    const entry = CURRENCY_SYMBOLS.find(([s]) => s === symbol);
+    const currency = entry ? entry[1] : null;
+    if (currency) return currency;
+    // "$" belongs to whichever dollar the marketplace uses
+    return this.currency || 'USD';
+  }
+
+  _parseNumber(text) {
+    const digits = text.replace(/[\s\u00a0\u202f']/g, '');
+    if (!/^\d/.test(digits)) return null;
+
+    const lastDot = digits.lastIndexOf('.');
+    const lastComma = digits.lastIndexOf(',');
+    let decimal = null;
+
+    if (lastDot !== -1 && lastComma !== -1) {
+      decimal = lastDot > lastComma ? '.' : ',';
+    } else if (lastDot !== -1 || lastComma !== -1) {
+      const separator = lastDot !== -1 ? '.' : ',';
+      const count = digits.split(separator).length - 1;
+      const decimals = digits.length - digits.lastIndexOf(separator) - 1;
+      // "1.234" is a thousand on amazon.de but "1.5" is never grouping
+      if (count === 1 && (decimals !== 3 || separator === this.decimalSeparator)) {
+        decimal = separator;
+      }
+    }
+
+    const normalized = decimal
+      ? digits.split(decimal === '.' ? ',' : '.').join('').replace(decimal, '.')
+      : digits.replace(/[.,]/g, '');
+    const amount = parseFloat(normalized);
+    return Number.isFinite(amount) ? amount : null;
+  }
+}
+
+// Timestamped prices per marketplace and ASIN, kept in storage.local with
+// per-product, age and product-count limits
+class PriceHistoryStore {
+  constructor(storageKey, options = {}) {
+    this.storageKey = storageKey;
+    this.maxPoints = options.maxPoints || 120;
+    this.maxAgeMs = (options.maxAgeDays || 365) * 24 * 60 * 60 * 1000;
+    this.maxProducts = options.maxProducts || 500;
+    this.minIntervalMs = options.minIntervalMs || 0;
+    this.writeChain = Promise.resolve();
+  }
+
+  static key(marketplace, asin) {
+    return `${marketplace}:${asin}`;
+  }
+
+  async getAll() {
+    const result = await browser.storage.local.get(this.storageKey);
+    const all = result?.[this.storageKey];
+    return all && typeof all === 'object' ? all : {};
+  }
+
+  // Waits for queued writes so a read right after a visit includes it
+  async get(marketplace, asin) {
+    await this.writeChain;
+    return (await this.getAll())[PriceHistoryStore.key(marketplace, asin)] || null;
+  }
+
+  record(marketplace, asin, { title, price, amount, currency, source }) {
+    if (typeof amount !== 'number') return Promise.resolve(false);
+    
+    const run = this.writeChain.then(async () => {
+      const all = await this.getAll();
+      const key = PriceHistoryStore.key(marketplace, asin);
+      const now = Date.now();
+      const entry = all[key] || { marketplace, asin, points: [] };
+      const last = entry.points[entry.points.length - 1];
+      
+      const unchanged = last && last.amount === amount && last.currency === currency && last.source === source;
+      if (unchanged && now - last.t < this.minIntervalMs) return false;
+      
+      entry.title = title || entry.title || '';
+      entry.updatedAt = now;
+      entry.points = [...entry.points, { t: now, amount, currency: currency || '', price, source: source || '' }]
+        .filter(point => now - point.t <= this.maxAgeMs)
+        .slice(-this.maxPoints);
+      all[key] = entry;
+      
+      // Forget the products that were seen longest ago
+      const keys = Object.keys(all);
+      if (keys.length > this.maxProducts) {
+        keys.sort((a, b) => (all[a].updatedAt || 0) - (all[b].updatedAt || 0))
+          .slice(0, keys.length - this.maxProducts)
+          .forEach(oldKey => delete all[oldKey]);
+      }
+      
+      await browser.storage.local.set({ [this.storageKey]: all });
+      return true;
+    });
+    this.writeChain = run.catch(() => {});
+    return run;
+  }
+}
+
+// PriceStrategyPipeline class (simplified inline version)
+class PriceStrategyPipeline {
+  constructor(selectors = {}, options = {}) {
+    this.selectors = selectors;
+    this.categories = options.categories || [];
+    this.defaultOrders = options.defaultOrders || {};
+    this.userOrders = {};
+    this.strategies = new Map();
+    PriceStrategyPipeline.builtInStrategies().forEach(([id, extract]) => this.register(id, extract));
+  }
+
+  // The price strategies every page gets. Each one receives a context with
+  // find(key) and price(element), and returns { price, source } or null.
+  static builtInStrategies() {
+    const priceAt = (ctx, key, source) => {
+      const price = ctx.price(ctx.find(key));
+      return price ? { price, source } : null;
+    };
+
+    return [
+      // The original book priority: paperback, then hardcover, then "Other Used and New"
+      ['book_formats', ctx =>
+        priceAt(ctx, 'PRICE_PAPERBACK', 'paperback') ||
+        priceAt(ctx, 'PRICE_HARDCOVER', 'hardcover') ||
+        priceAt(ctx, 'PRICE_USED_AND_NEW', 'used_and_new')],
+      ['deal', ctx => priceAt(ctx, 'PRICE_DEAL', 'deal')],
+      ['buy_box', ctx => priceAt(ctx, 'PRODUCT_PRICE', 'buy_box')],
+      ['range', ctx => {
+        const range = ctx.find('PRICE_RANGE');
+        const ends = range ? [...range.querySelectorAll('.a-offscreen')].map(el => ctx.price(el)).filter(Boolean) : [];
+        if (ends.length < 2) return null;
+        const [min, max] = [ends[0], ends[ends.length - 1]];
+        return { price: `${min} – ${max}`, source: 'range', range: { min, max } };
+      }],
+      ['subscribe_save', ctx => priceAt(ctx, 'PRICE_SUBSCRIBE_SAVE', 'subscribe_save')],
+      ['kindle', ctx => priceAt(ctx, 'PRICE_KINDLE', 'kindle')]
+    ];
+  }
+
+  // extract(ctx) returns { price, source } or null
+  register(id, extract) {
+    this.strategies.set(id, extract);
+  }
+
+  // User orders replace the default order of the categories they name
+  setUserOrders(orders) {
+    this.userOrders = orders && typeof orders === 'object' ? orders : {};
+  }
+
+  orderFor(category) {
+    const order = this.userOrders[category] || this.defaultOrders[category] || this.defaultOrders.default || [];
+    return order.filter(id => this.strategies.has(id));
+  }
+
+  detectCategory(root = document) {
+    const hints = [
+      root.querySelector('#nav-subnav')?.getAttribute('data-category') || '',
+      (this._find('CATEGORY_BREADCRUMB', root)?.textContent || '').trim()
+    ].filter(Boolean);
+
+    for (const category of this.categories) {
+      if (hints.some(hint => category.pattern.test(hint))) return category.id;
+    }
+    // Format swatches only appear on book pages
+    return this._find('PRICE_PAPERBACK', root) || this._find('PRICE_HARDCOVER', root) ? 'books' : 'default';
+  }
+
+  // Runs the category's strategies in order and returns the first price found
+  extract(root = document, priceParser = null) {
+    const category = this.detectCategory(root);
+    const ctx = {
+      root,
+      find: key => this._find(key, root),
+      price: element => this._priceText(element, priceParser)
+    };
+
+    for (const id of this.orderFor(category)) {
+      try {
+        const result = this.strategies.get(id)(ctx);
+        if (result?.price) {
+          return { price: result.price, source: result.source || id, strategy: id, category, range: result.range || null };
+        }
+      } catch (e) {
+        // A broken strategy must not hide the ones after it
+      }
+    }
+    return { price: '', source: '', strategy: '', category, range: null };
+  }
+
+  _find(key, root) {
+    const selectors = this.selectors[key] || [];
+    for (const selector of typeof selectors === 'string' ? [selectors] : selectors) {
+      try {
+        const element = root.querySelector(selector);
+        if (element) return element;
+      } catch (e) {
+        // Skip selectors the engine does not support
+      }
+    }
+    return null;
+  }
+
+  // Amazon renders prices twice; the screen-reader copy is the complete one
+  _priceText(element, priceParser) {
+    if (!element) return '';
+    const offscreen = element.matches('.a-offscreen') ? element : element.querySelector('.a-offscreen');
+    const text = ((offscreen || element).textContent || '').trim();
+    if (!text || text === '—') return '';
+    if (!priceParser) return text;
+    return priceParser.parse(text)?.raw || '';
+  }
+}
+
+// Parses a fetched product page for the periodic alert refresh, with the
+// same strategy orders as the content script
+class ProductPagePriceParser {
+  constructor() {
+    this.pipeline = new PriceStrategyPipeline(CONFIG.PRICE_STRATEGIES.SELECTORS, {
+      categories: CONFIG.PRICE_STRATEGIES.CATEGORIES,
+      defaultOrders: CONFIG.PRICE_STRATEGIES.DEFAULT_ORDERS
+    });
+  }
+
+  async loadUserOrders() {
+    const result = await browser.storage.sync.get(CONFIG.PRICE_STRATEGIES.STORAGE_KEY);
+    this.pipeline.setUserOrders(result?.[CONFIG.PRICE_STRATEGIES.STORAGE_KEY]);
+  }
+
+  parse(html, priceParser) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const title = doc.querySelector('#productTitle')?.textContent.trim() || '';
+    const { price, source } = this.pipeline.extract(doc, priceParser);
+    return { title, price, source };
+  }
+}
+
+// Price-drop alert rules for single products or whole lists, kept in storage.local.
+// A rule fires below a fixed price or after a percentage drop from its baseline.
+class PriceAlertStore {
+  constructor(storageKey) {
+    this.storageKey = storageKey;
+    this.writeChain = Promise.resolve();
+  }
+
+  async getAll() {
+    await this.writeChain;
+    const result = await browser.storage.local.get(this.storageKey);
+    return Array.isArray(result?.[this.storageKey]) ? result[this.storageKey] : [];
+  }
+
+  add(fields) {
+    return this._mutate(rules => {
+      const rule = {
+        id: `alert-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        baselines: {},
+        notified: {},
+        createdAt: Date.now(),
+        ...fields
+      };
+      return { rules: [...rules, rule], result: rule };
+    });
+  }
+
+  remove(id) {
+    return this._mutate(rules => {
+      const next = rules.filter(rule => rule.id !== id);
+      return { rules: next, result: next.length !== rules.length };
+    });
+  }
+
+  // Reads, evaluates and saves in one step on the write chain, so two checks
+  // of the same price can't both see a rule as not yet notified.
+  // evaluate(rules) returns { changed: Map of rule id to new rule, result }.
+  evaluate(evaluate) {
+    return this._mutate(rules => {
+      const { changed, result } = evaluate(rules);
+      return { rules: changed.size ? rules.map(rule => changed.get(rule.id) || rule) : rules, result };
+    });
+  }
+
+  _mutate(change) {
+    const run = this.writeChain.then(async () => {
+      const result = await browser.storage.local.get(this.storageKey);
+      const rules = Array.isArray(result?.[this.storageKey]) ? result[this.storageKey] : [];
+      const next = change(rules);
+      if (next.rules !== rules) {
+        await browser.storage.local.set({ [this.storageKey]: next.rules });
+      }
+      return next.result;
+    });
+    this.writeChain = run.catch(() => {});
+    return run;
+  }
 }
 
 // Main background script coordinator
 class BackgroundCoordinator {
   constructor() {
-    this.gatekeeper = new MessageGatekeeper();
+    this.marketplaces = new MarketplaceRegistry(CONFIG.MARKETPLACES, CONFIG.MARKETPLACE_LIST_URLS);
+    this.gatekeeper = new MessageGatekeeper(this.marketplaces);
+    this.listPageParser = new ListPageParser(this.marketplaces);
     this.storedLists = [];
     this.storedProductInfo = null;
+    this.storedMembership = null;
+    this.storedScope = null;
+    this.pendingJobs = new PendingJobStore(CONFIG.PENDING_JOBS.STORAGE_KEY, {
+      onChange: (jobs) => this.broadcastPendingJobs(jobs)
+    });
+    this.priceHistory = new PriceHistoryStore(CONFIG.PRICE_HISTORY.STORAGE_KEY, {
+      maxPoints: CONFIG.PRICE_HISTORY.MAX_POINTS_PER_PRODUCT,
+      maxAgeDays: CONFIG.PRICE_HISTORY.MAX_AGE_DAYS,
+      maxProducts: CONFIG.PRICE_HISTORY.MAX_PRODUCTS,
+      minIntervalMs: CONFIG.PRICE_HISTORY.MIN_INTERVAL_MS
+    });
+    this.priceAlerts = new PriceAlertStore(CONFIG.PRICE_ALERTS.STORAGE_KEY);
+    this.productPagePriceParser = new ProductPagePriceParser();
+    this.priceParsers = new Map();
+    this.addedItems = new AddedItemStore(CONFIG.ADDED_ITEMS.STORAGE_KEY, {
+      maxItems: CONFIG.ADDED_ITEMS.MAX_ITEMS
+    });
+    this.dispatchingTabs = new Set();
+    this.productPageWaiters = new Map();
+    // Tabs opened only to run an add; their pages never become the sidebar's product
+    this.helperTabs = new Set();
     this.setupListeners();
+    this.pendingJobs.resetInterrupted().catch(e => {
+      console.error(`${CONFIG.LOG_PREFIX} Could not restore pending jobs:`, e);
+    });
     console.log(`${CONFIG.LOG_PREFIX} Background script loaded`);
   }
 
@@ -67,6 +825,29 @@ class BackgroundCoordinator {
       browser.action.onClicked.addListener((tab) => this.handleToolbarClick(tab));
     }
 
+    // Tabs we opened ourselves may be closed before their product loads
+    browser.tabs.onRemoved.addListener((tabId) => {
+      this.productPageWaiters.get(tabId)?.(null);
+    });
+
+    // Periodic price-alert refresh
+    if (browser.alarms) {
+      browser.alarms.onAlarm.addListener((alarm) => {
+        if (alarm.name === CONFIG.PRICE_ALERTS.ALARM_NAME) {
+          this.refreshPriceAlerts().catch(e => {
+            console.error(`${CONFIG.LOG_PREFIX} Price alert refresh failed:`, e);
+          });
+        }
+      });
+      this.schedulePriceAlertRefresh();
+    }
+
+    // The notifications API only exists while the optional permission is held
+    this.listenForNotificationClicks();
+    if (browser.permissions?.onAdded) {
+      browser.permissions.onAdded.addListener(() => this.listenForNotificationClicks());
+    }
+
     // Installation listener
     browser.runtime.onInstalled.addListener((details) => {
       console.log(`${CONFIG.LOG_PREFIX} onInstalled`, details);
@@ -91,14 +872,50 @@ class BackgroundCoordinator {
         return this.handleOpenSidebar(sender);
       
       case 'UPDATE_LISTS':
-        return this.handleUpdateLists(message);
+        return this.handleUpdateLists(message, sender);
       
       case 'UPDATE_PRODUCT':
-        return this.handleUpdateProduct(message);
+        return this.handleUpdateProduct(message, sender);
       
       case 'GET_STORED_LISTS':
         return this.handleGetStoredLists();
       
+      case 'ITEM_ADDED':
+        return this.handleItemAdded(message, sender);
+      
+      case 'GET_LIST_ITEMS':
+        return this.handleGetListItems(message);
+      
+      case 'OPERATIONS_UPDATE':
+        return this.handleOperationsUpdate(message, sender);
+      
+      case 'DISPATCH_ADD_TO_LIST':
+        return this.handleDispatchAddToList(message);
+      
+      case 'GET_PENDING_JOBS':
+        return this.pendingJobs.getAll().then(jobs => ({ success: true, jobs }));
+      
+      case 'RETRY_PENDING_JOB':
+        return this.handleRetryPendingJob(message);
+      
+      case 'GET_PRICE_HISTORY':
+        return this.handleGetPriceHistory(message);
+      
+      case 'GET_ALERT_RULES':
+        return this.priceAlerts.getAll().then(rules => ({ success: true, rules }));
+      
+      case 'SAVE_ALERT_RULE':
+        return this.handleSaveAlertRule(message);
+      
+      case 'DELETE_ALERT_RULE':
+        return this.priceAlerts.remove(message.ruleId).then(removed => ({ success: removed }));
+      
+      case 'ADD_BY_ASIN':
+        return this.handleAddByAsin(message);
+      
+      case 'DISCARD_PENDING_JOB':
+        return this.pendingJobs.remove(message.jobId).then(removed => ({ success: removed }));
+      
       default:
         return Promise.resolve({ success: false, error: 'unknown_message_type' });
     }
@@ -131,28 +948,45 @@ class BackgroundCoordinator {
       });
   }
 
-  handleUpdateLists(message) {
+  handleUpdateLists(message, sender) {
     console.log(`${CONFIG.LOG_PREFIX} UPDATE_LISTS`, { 
       count: (message.lists || []).length 
     });
     
+    if (this.helperTabs.has(sender?.tab?.id)) {
+      return Promise.resolve({ success: true });
+    }
+    
     this.storedLists = message.lists || [];
-    this.storedProductInfo = message.productInfo;
+    this.storedScope = this._scopeOf(this._marketplaceOf(sender?.tab?.url), message.account || message.productInfo?.account);
+    this.storedProductInfo = this._withMarketplace(message.productInfo, sender);
+    this.storedMembership = message.membership || null;
+    if (this.storedProductInfo?.marketplace && this.storedMembership?.asin === this.storedProductInfo.asin) {
+      this.checkPriceAlerts(this.storedProductInfo.marketplace, [this._observationFor(this.storedProductInfo)]).catch(() => {});
+    }
     
     // Broadcast to sidebar
     browser.runtime.sendMessage({
       type: 'UPDATE_LISTS',
       lists: this.storedLists,
-      productInfo: this.storedProductInfo
+      scope: this.storedScope,
+      productInfo: this.storedProductInfo,
+      membership: this.storedMembership
     }).catch(() => {});
     
     return Promise.resolve({ success: true });
   }
 
-  handleUpdateProduct(message) {
+  handleUpdateProduct(message, sender) {
     console.log(`${CONFIG.LOG_PREFIX} UPDATE_PRODUCT`);
     
-    this.storedProductInfo = message.productInfo;
+    this.productPageWaiters.get(sender?.tab?.id)?.(message.productInfo || null);
+    if (this.helperTabs.has(sender?.tab?.id)) {
+      return Promise.resolve({ success: true });
+    }
+    
+    this.storedProductInfo = this._withMarketplace(message.productInfo, sender);
+    this.recordPrice(this.storedProductInfo);
     
     // Broadcast to sidebar
     browser.runtime.sendMessage({
@@ -160,6 +994,501 @@ class BackgroundCoordinator {
       productInfo: this.storedProductInfo
     }).catch(() => {});
     
+    // A product page just became available: finish any work waiting for it
+    if (sender?.tab) {
+      this.dispatchPendingJobs(sender.tab, message.productInfo?.asin, message.productInfo?.account?.id).catch(e => {
+        console.error(`${CONFIG.LOG_PREFIX} Pending job dispatch failed:`, e);
+      });
+    }
+    
+    return Promise.resolve({ success: true });
+  }
+
+  async handleDispatchAddToList(message) {
+    console.log(`${CONFIG.LOG_PREFIX} DISPATCH_ADD_TO_LIST`, { listId: message.listId });
+    
+    if (!message.listId) {
+      return { success: false, error: 'invalid_job' };
+    }
+    
+    let tab;
+    try {
+      tab = await browser.tabs.get(message.tabId);
+    } catch (_) {
+      return { success: false, error: 'No active tab' };
+    }
+    
+    const marketplace = this._marketplaceOf(tab.url);
+    if (!marketplace) {
+      return { success: false, error: 'not_on_product_page' };
+    }
+    
+    // The job is for the product the target tab shows now; the sidebar's last
+    // product update may have come from another tab
+    const productInfo = await browser.tabs.sendMessage(tab.id, { type: 'GET_PRODUCT_INFO' })
+      .then(resp => resp?.success ? resp.productInfo : null)
+      .catch(() => null);
+    if (!productInfo?.asin) {
+      return { success: false, error: 'not_on_product_page' };
+    }
+    
+    const job = await this.pendingJobs.add({
+      type: 'ADD_TO_LIST',
+      marketplace,
+      accountId: productInfo.account?.id || null,
+      asin: productInfo.asin,
+      listId: message.listId,
+      listName: message.listName || message.listId,
+      title: productInfo.title || ''
+    });
+    
+    return this.dispatchJob(job, tab.id);
+  }
+
+  // Sends one job to a tab. Success removes it, an Amazon-side failure keeps it
+  // for the user to retry, and a lost or wrong page leaves it waiting.
+  async dispatchJob(job, tabId) {
+    await this.pendingJobs.update(job.id, { status: 'running', attempts: job.attempts + 1, tabId });
+    
+    let resp;
+    try {
+      resp = await browser.tabs.sendMessage(tabId, {
+        type: job.type,
+        listId: job.listId,
+        asin: job.asin
+      });
+    } catch (e) {
+      await this.pendingJobs.update(job.id, { status: 'pending', lastError: 'The page closed before the add finished' });
+      return { success: false, deferred: true, jobId: job.id, error: e?.message };
+    }
+    
+    if (resp?.success) {
+      await this.pendingJobs.remove(job.id);
+      return { ...resp, jobId: job.id };
+    }
+    if (resp?.cancelled) {
+      // The user stopped it in the operations panel
+      await this.pendingJobs.remove(job.id);
+      return { ...resp, jobId: job.id };
+    }
+    if (!resp || CONFIG.PENDING_JOBS.WAIT_ERRORS.includes(resp.error)) {
+      await this.pendingJobs.update(job.id, { status: 'pending', lastError: resp?.error || null });
+      return { ...resp, success: false, deferred: true, jobId: job.id };
+    }
+    
+    await this.pendingJobs.update(job.id, {
+      status: 'failed',
+      lastError: resp.message || resp.error || resp.outcome || 'Add failed'
+    });
+    return { ...resp, jobId: job.id };
+  }
+
+  // A job waits for a tab that shows the account it was made for. Account ids
+  // come from the greeting name, so this only keeps jobs away from a tab
+  // visibly signed in to someone else; it is no proof of identity.
+  async dispatchPendingJobs(tab, asin, accountId) {
+    const marketplace = this._marketplaceOf(tab.url);
+    if (!asin || !marketplace || this.dispatchingTabs.has(tab.id)) return;
+    
+    const jobs = (await this.pendingJobs.findByKey(PendingJobStore.key(marketplace, asin)))
+      .filter(job => job.status === 'pending' && this._sameAccount(job.accountId, accountId));
+    if (!jobs.length) return;
+    
+    this.dispatchingTabs.add(tab.id);
+    try {
+      for (const job of jobs) {
+        const result = await this.dispatchJob(job, tab.id);
+        if (result.deferred) break;
+      }
+    } finally {
+      this.dispatchingTabs.delete(tab.id);
+    }
+  }
+
+  // Jobs from before accounts were tracked, or from before account ids were
+  // hashed, can't be matched and run anywhere in their marketplace
+  _sameAccount(jobAccountId, tabAccountId) {
+    const comparable = jobAccountId === 'guest' || String(jobAccountId || '').startsWith(CONFIG.NAME_ACCOUNT_PREFIX);
+    return !comparable || jobAccountId === (tabAccountId || 'guest');
+  }
+
+  async handleRetryPendingJob(message) {
+    const job = await this.pendingJobs.get(message.jobId);
+    if (!job) {
+      return { success: false, error: 'job_not_found' };
+    }
+    
+    await this.pendingJobs.update(job.id, { status: 'pending', lastError: null });
+    
+    // Run it now if the product is open somewhere, otherwise it waits for that page
+    const tabs = await browser.tabs.query({ url: `https://*.${job.marketplace}/*` }).catch(() => []);
+    const tab = tabs.find(t => this._marketplaceOf(t.url) === job.marketplace && t.url.includes(job.asin));
+    if (!tab) {
+      return { success: true, waiting: true };
+    }
+    
+    return this.dispatchJob({ ...job, status: 'pending' }, tab.id);
+  }
+
+  // Opens the product in a background tab, runs the normal add there and closes it
+  async handleAddByAsin(message) {
+    console.log(`${CONFIG.LOG_PREFIX} ADD_BY_ASIN`, { asin: message.asin, listId: message.listId });
+    
+    const origin = this._toAmazonOrigin(message.origin);
+    if (!origin) {
+      return { success: false, error: 'invalid_origin' };
+    }
+    if (!/^[A-Z0-9]{10}$/i.test(message.asin || '') || !message.listId) {
+      return { success: false, error: 'invalid_asin' };
+    }
+    
+    let tab;
+    try {
+      tab = await browser.tabs.create({ url: `${origin}/dp/${message.asin.toUpperCase()}`, active: false });
+      this.helperTabs.add(tab.id);
+      
+      const productInfo = await this.waitForProductPage(tab.id, CONFIG.ADD_BY_ASIN.PAGE_LOAD_TIMEOUT_MS);
+      if (!productInfo) {
+        return { success: false, error: 'product_page_not_loaded' };
+      }
+      
+      // Pinned to the variant the page opened with, which is the one reported back
+      const resp = await browser.tabs.sendMessage(tab.id, {
+        type: 'ADD_TO_LIST',
+        listId: message.listId,
+        asin: productInfo.asin
+      });
+      // Amazon may redirect to another ASIN (e.g. a parent product)
+      return { ...resp, asin: productInfo.asin, title: productInfo.title };
+    } catch (e) {
+      console.error(`${CONFIG.LOG_PREFIX} ADD_BY_ASIN failed:`, e);
+      return { success: false, error: e?.message || 'add by ASIN failed' };
+    } finally {
+      if (tab) {
+        this.helperTabs.delete(tab.id);
+        browser.tabs.remove(tab.id).catch(() => {});
+      }
+    }
+  }
+
+  // Resolves with the tab's product info once its content script reports in,
+  // or null on timeout or when the tab closes
+  waitForProductPage(tabId, timeout) {
+    return new Promise(resolve => {
+      const timer = setTimeout(() => done(null), timeout);
+      const done = (productInfo) => {
+        clearTimeout(timer);
+        this.productPageWaiters.delete(tabId);
+        resolve(productInfo);
+      };
+      this.productPageWaiters.set(tabId, done);
+    });
+  }
+
+  // One parser per marketplace, so "1.234" reads as a thousand only where it should
+  priceParserFor(marketplace) {
+    if (!this.priceParsers.has(marketplace)) {
+      this.priceParsers.set(marketplace, new PriceParser(this.marketplaces.get(marketplace) || {}));
+    }
+    return this.priceParsers.get(marketplace);
+  }
+
+  recordPrice(productInfo) {
+    if (!productInfo?.asin || !productInfo.marketplace || !productInfo.price) return;
+    // A range's low end is not what the product costs, so it is never charted
+    if (productInfo.priceSource === 'range') return;
+    
+    const parsed = this.priceParserFor(productInfo.marketplace).parse(productInfo.price);
+    this.priceHistory.record(productInfo.marketplace, productInfo.asin, {
+      title: productInfo.title,
+      price: productInfo.price,
+      amount: parsed?.amount,
+      currency: parsed?.currency,
+      source: productInfo.priceSource
+    }).catch(e => {
+      console.error(`${CONFIG.LOG_PREFIX} Could not record price:`, e);
+    });
+    
+    this.checkPriceAlerts(productInfo.marketplace, [this._observationFor(productInfo)]).catch(e => {
+      console.error(`${CONFIG.LOG_PREFIX} Price alert check failed:`, e);
+    });
+  }
+
+  // List rules need to know which lists hold the product; the dropdown
+  // membership only covers the product it was read for
+  _observationFor(productInfo) {
+    const membership = this.storedMembership?.asin === productInfo.asin ? this.storedMembership.listIds : [];
+    return {
+      asin: productInfo.asin,
+      title: productInfo.title,
+      price: productInfo.price,
+      source: productInfo.priceSource || '',
+      listIds: membership || []
+    };
+  }
+
+  async handleSaveAlertRule(message) {
+    const rule = message.rule || {};
+    const value = Number(rule.value);
+    
+    if (!['below', 'drop_percent'].includes(rule.type) || !(value > 0) ||
+        (rule.type === 'drop_percent' && value >= 100)) {
+      return { success: false, error: 'invalid_rule' };
+    }
+    if (!rule.marketplace || (rule.scope === 'item' ? !rule.asin : rule.scope !== 'list' || !rule.listId)) {
+      return { success: false, error: 'invalid_rule' };
+    }
+    
+    // A product rule starts from the price the user is looking at
+    const baselines = {};
+    const current = this.priceParserFor(rule.marketplace).parse(rule.currentPrice)?.amount;
+    if (rule.scope === 'item' && current !== undefined) {
+      baselines[rule.asin] = current;
+    }
+    
+    const saved = await this.priceAlerts.add({
+      scope: rule.scope,
+      marketplace: rule.marketplace,
+      asin: rule.scope === 'item' ? rule.asin : undefined,
+      listId: rule.scope === 'list' ? rule.listId : undefined,
+      label: rule.label || rule.asin || rule.listId,
+      type: rule.type,
+      value,
+      baselines
+    });
+    return { success: true, rule: saved };
+  }
+
+  // Checks observed prices against every matching rule. Each rule notifies once
+  // per product until the price recovers or drops further.
+  async checkPriceAlerts(marketplace, observations) {
+    const priced = observations
+      .filter(observation => observation.source !== 'range')
+      .map(observation => ({ observation, amount: this.priceParserFor(marketplace).parse(observation.price)?.amount }))
+      .filter(({ amount }) => amount !== undefined);
+    if (!priced.length) return;
+    
+    const alerts = await this.priceAlerts.evaluate(allRules => {
+      const rules = allRules.filter(rule => rule.marketplace === marketplace);
+      const changed = new Map();
+      const found = [];
+      
+      for (const { observation, amount } of priced) {
+        for (const original of rules) {
+          const matches = original.scope === 'item'
+            ? original.asin === observation.asin
+            : (observation.listIds || []).includes(original.listId);
+          if (!matches) continue;
+          
+          const rule = changed.get(original.id) || {
+            ...original,
+            baselines: { ...original.baselines },
+            notified: { ...original.notified }
+          };
+          const asin = observation.asin;
+          
+          if (rule.type === 'drop_percent' && rule.baselines[asin] === undefined) {
+            rule.baselines[asin] = amount;
+            changed.set(rule.id, rule);
+            continue;
+          }
+          
+          const triggered = rule.type === 'below'
+            ? amount <= rule.value
+            : amount <= rule.baselines[asin] * (1 - rule.value / 100);
+          const lastNotified = rule.notified[asin];
+          
+          if (!triggered) {
+            if (lastNotified !== undefined) {
+              delete rule.notified[asin];
+              changed.set(rule.id, rule);
+            }
+          } else if (lastNotified === undefined || amount < lastNotified) {
+            rule.notified[asin] = amount;
+            changed.set(rule.id, rule);
+            found.push({ rule, observation, marketplace });
+          }
+        }
+      }
+      
+      return { changed, result: found };
+    });
+    
+    for (const alert of alerts) {
+      await this.notifyPriceAlert(alert);
+    }
+  }
+
+  async notifyPriceAlert({ rule, observation, marketplace }) {
+    const granted = await browser.permissions.contains({ permissions: ['notifications'] }).catch(() => false);
+    if (!granted || !browser.notifications) {
+      console.log(`${CONFIG.LOG_PREFIX} Price alert without notification permission`, { ruleId: rule.id });
+      return;
+    }
+    
+    this.listenForNotificationClicks();
+    
+    const reason = rule.type === 'below'
+      ? `below your alert price of ${rule.value}`
+      : `down ${rule.value}% or more`;
+    const where = rule.scope === 'list' ? ` (list "${rule.label}")` : '';
+    const notificationId = [CONFIG.PRICE_ALERTS.NOTIFICATION_PREFIX, marketplace, observation.asin, Date.now()].join('|');
+    
+    await browser.notifications.create(notificationId, {
+      type: 'basic',
+      iconUrl: browser.runtime.getURL(CONFIG.PRICE_ALERTS.ICON),
+      title: 'Price drop',
+      message: `${observation.title || observation.asin} is now ${observation.price}, ${reason}${where}`
+    });
+  }
+
+  // Registered at startup and whenever permissions are added; a no-op without
+  // the notifications permission or once the listener is in place
+  listenForNotificationClicks() {
+    if (!browser.notifications?.onClicked || this.notificationClickListener) return;
+    this.notificationClickListener = (notificationId) => {
+      const url = this.priceAlertNotificationUrl(notificationId);
+      if (url) {
+        browser.tabs.create({ url }).catch(() => {});
+        browser.notifications.clear(notificationId).catch(() => {});
+      }
+    };
+    browser.notifications.onClicked.addListener(this.notificationClickListener);
+  }
+
+  priceAlertNotificationUrl(notificationId) {
+    const [prefix, marketplace, asin] = String(notificationId).split('|');
+    if (prefix !== CONFIG.PRICE_ALERTS.NOTIFICATION_PREFIX || !/^[A-Z0-9]{10}$/i.test(asin || '')) return null;
+    const origin = this.marketplaces.origin(marketplace);
+    return origin ? `${origin}/dp/${asin}` : null;
+  }
+
+  // Event pages restart often, so an existing alarm is kept rather than reset
+  async schedulePriceAlertRefresh() {
+    try {
+      const existing = await browser.alarms.get(CONFIG.PRICE_ALERTS.ALARM_NAME);
+      if (!existing) {
+        browser.alarms.create(CONFIG.PRICE_ALERTS.ALARM_NAME, {
+          periodInMinutes: CONFIG.PRICE_ALERTS.REFRESH_MINUTES
+        });
+      }
+    } catch (e) {
+      console.error(`${CONFIG.LOG_PREFIX} Could not schedule price alerts:`, e);
+    }
+  }
+
+  // Fetches the lists and products that have rules and checks their current prices
+  async refreshPriceAlerts() {
+    const rules = await this.priceAlerts.getAll();
+    if (rules.some(rule => rule.scope === 'item')) {
+      await this.productPagePriceParser.loadUserOrders().catch(() => {});
+    }
+    const marketplaces = [...new Set(rules.map(rule => rule.marketplace))];
+    
+    for (const marketplace of marketplaces) {
+      const origin = `https://www.${marketplace}`;
+      const marketRules = rules.filter(rule => rule.marketplace === marketplace);
+      const observations = [];
+      
+      for (const listId of new Set(marketRules.filter(r => r.scope === 'list').map(r => r.listId))) {
+        try {
+          let pageToken = null;
+          for (let page = 0; page < CONFIG.PRICE_ALERTS.MAX_LIST_PAGES; page++) {
+            const result = await this.fetchListPage(origin, listId, pageToken);
+            result.items.forEach(item => observations.push({ ...item, listIds: [listId] }));
+            pageToken = result.nextPageToken;
+            if (!pageToken) break;
+          }
+        } catch (e) {
+          console.error(`${CONFIG.LOG_PREFIX} Could not refresh list ${listId}:`, e);
+        }
+      }
+      
+      for (const asin of new Set(marketRules.filter(r => r.scope === 'item').map(r => r.asin))) {
+        try {
+          const product = this.productPagePriceParser.parse(
+            await this.fetchAmazonPage(`${origin}/dp/${asin}`),
+            this.priceParserFor(marketplace)
+          );
+          if (product.price) {
+            observations.push({ asin, title: product.title, price: product.price, source: product.source, listIds: [] });
+          }
+        } catch (e) {
+          console.error(`${CONFIG.LOG_PREFIX} Could not refresh product ${asin}:`, e);
+        }
+      }
+      
+      await this.checkPriceAlerts(marketplace, observations);
+    }
+  }
+
+  async handleGetPriceHistory(message) {
+    if (!message.asin || !message.marketplace) {
+      return { success: false, error: 'invalid_product' };
+    }
+    return { success: true, history: await this.priceHistory.get(message.marketplace, message.asin) };
+  }
+
+  // Product info carries its store and account so per-marketplace and
+  // per-account data can be looked up later
+  _withMarketplace(productInfo, sender) {
+    if (!productInfo) return productInfo;
+    const marketplace = this._marketplaceOf(sender?.tab?.url);
+    return { ...productInfo, marketplace, scope: this._scopeOf(marketplace, productInfo.account) };
+  }
+
+  // Lists, recent lists and added items are kept apart per "<marketplace>/<account>"
+  _scopeOf(marketplace, account) {
+    if (!marketplace) return null;
+    const accountId = account?.id || 'guest';
+    return {
+      id: `${marketplace}/${accountId}`,
+      marketplace,
+      accountId,
+      accountName: account?.name || ''
+    };
+  }
+
+  broadcastPendingJobs(jobs) {
+    browser.runtime.sendMessage({
+      type: 'PENDING_JOBS_UPDATE',
+      jobs
+    }).catch(() => {});
+  }
+
+  // The store's domain, so amazon.de and www.amazon.de share jobs
+  _marketplaceOf(url) {
+    return this.marketplaces.forUrl(url)?.domain || null;
+  }
+
+  // Helper tabs count here too: their adds are as real as any other
+  async handleItemAdded(message, sender) {
+    const productInfo = this._withMarketplace(message.productInfo, sender);
+    if (!productInfo?.asin || !productInfo.scope || !message.listId) {
+      return { success: false, error: 'invalid_item' };
+    }
+    
+    try {
+      await this.addedItems.record(productInfo.scope, {
+        listId: message.listId,
+        listName: message.listName,
+        productInfo
+      });
+      return { success: true };
+    } catch (e) {
+      console.error(`${CONFIG.LOG_PREFIX} Could not record added item:`, e);
+      return { success: false, error: e.message };
+    }
+  }
+
+  handleOperationsUpdate(message, sender) {
+    // Broadcast to sidebar, tagged with the tab whose queue changed
+    browser.runtime.sendMessage({
+      type: 'OPERATIONS_UPDATE',
+      tabId: sender.tab?.id,
+      operations: message.operations || []
+    }).catch(() => {});
+    
     return Promise.resolve({ success: true });
   }
 
@@ -168,10 +1497,64 @@ class BackgroundCoordinator {
     
     return Promise.resolve({
       lists: this.storedLists,
-      productInfo: this.storedProductInfo
+      scope: this.storedScope,
+      productInfo: this.storedProductInfo,
+      membership: this.storedMembership
     });
   }
 
+  async handleGetListItems(message) {
+    console.log(`${CONFIG.LOG_PREFIX} GET_LIST_ITEMS`, { listId: message.listId });
+    
+    const origin = this._toAmazonOrigin(message.origin);
+    if (!origin) {
+      return { success: false, error: 'invalid_origin' };
+    }
+    if (!message.listId || !/^[A-Z0-9]+$/i.test(message.listId)) {
+      return { success: false, error: 'invalid_list_id' };
+    }
+    
+    // Follow-up pages come from Amazon's own "show more" URL
+    const token = message.pageToken;
+    if (token && !token.startsWith(this.marketplaces.forUrl(origin).moreItemsPathPrefix)) {
+      return { success: false, error: 'invalid_page_token' };
+    }
+    
+    try {
+      const page = await this.fetchListPage(origin, message.listId, token);
+      return { success: true, ...page };
+    } catch (e) {
+      console.error(`${CONFIG.LOG_PREFIX} GET_LIST_ITEMS failed:`, e);
+      return { success: false, error: e?.message || 'list fetch failed' };
+    }
+  }
+
+  async fetchListPage(origin, listId, pageToken = null) {
+    const url = pageToken
+      ? `${origin}${pageToken}`
+      : `${origin}${this.marketplaces.listPath(this._marketplaceOf(origin), listId)}`;
+    return this.listPageParser.parse(await this.fetchAmazonPage(url), origin);
+  }
+
+  async fetchAmazonPage(url) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), CONFIG.LIST_PAGE.FETCH_TIMEOUT_MS);
+    
+    try {
+      const response = await fetch(url, { credentials: 'include', signal: controller.signal });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      return await response.text();
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  _toAmazonOrigin(origin) {
+    return this.marketplaces.isMarketplaceUrl(origin) ? new URL(origin).origin : null;
+  }
+
   async handleToolbarClick(tab) {
     try {
       const opts = tab?.windowId ? { windowId: tab.windowId } : undefined;
@@ -6,15 +6,31 @@
 const CONFIG = {
   // Privacy and Security Settings
   PRIVACY: {
+    // The stores in MARKETPLACES; manifest.json lists the same ones
     ALLOWED_DOMAINS: [
       'amazon.com',
       'amazon.ca',
+      'amazon.com.mx',
+      'amazon.com.br',
       'amazon.co.uk',
+      'amazon.ie',
       'amazon.de',
       'amazon.fr',
-      'amazon.es',
       'amazon.it',
-      'amazon.co.jp'
+      'amazon.es',
+      'amazon.nl',
+      'amazon.com.be',
+      'amazon.se',
+      'amazon.pl',
+      'amazon.com.tr',
+      'amazon.ae',
+      'amazon.sa',
+      'amazon.eg',
+      'amazon.co.za',
+      'amazon.in',
+      'amazon.co.jp',
+      'amazon.sg',
+      'amazon.com.au'
     ],
     REQUIRE_HTTPS: true,
     TOP_FRAME_ONLY: true,
@@ -23,9 +39,31 @@ const CONFIG = {
       'UPDATE_PRODUCT',
       'GET_STORED_LISTS',
       'ADD_TO_LIST',
+      'ADD_TO_LISTS',
+      'REMOVE_FROM_LIST',
+      'MOVE_TO_LIST',
+      'UPDATE_LIST_SETTINGS',
+      'DELETE_LIST',
+      'GET_LIST_ITEMS',
       'REQUEST_LISTS',
       'OPEN_SIDEBAR',
-      'CREATE_LIST'
+      'CREATE_LIST',
+      'CREATE_LIST_AND_ADD',
+      'GET_OPERATIONS',
+      'CANCEL_OPERATION',
+      'GET_PRODUCT_INFO',
+      'OPERATIONS_UPDATE',
+      'DISPATCH_ADD_TO_LIST',
+      'GET_PENDING_JOBS',
+      'RETRY_PENDING_JOB',
+      'DISCARD_PENDING_JOB',
+      'PENDING_JOBS_UPDATE',
+      'ADD_BY_ASIN',
+      'GET_PRICE_HISTORY',
+      'GET_ALERT_RULES',
+      'SAVE_ALERT_RULE',
+      'DELETE_ALERT_RULE',
+      'ITEM_ADDED'
     ],
     STRIP_DOM_REFERENCES: true,
     MAX_STRING_LENGTH: 1000
@@ -48,12 +86,81 @@ const CONFIG = {
         '#productTitle',
         '[data-feature-name="title"]'
       ],
+      // Buy-box price; the other PRICE_* keys feed the price strategies
       PRODUCT_PRICE: [
-        '.a-price-whole',
-        '.a-price-range',
-        '.a-price.a-text-price',
-        '.a-price-value'
+        '#corePrice_feature_div .a-price',
+        '#corePriceDisplay_desktop_feature_div .priceToPay',
+        '#corePrice_desktop .a-price',
+        '#price_inside_buybox',
+        '#newBuyBoxPrice',
+        '#priceblock_ourprice'
+      ],
+      PRICE_PAPERBACK: ['#tmm-grid-swatch-PAPERBACK .slot-price'],
+      PRICE_HARDCOVER: ['#tmm-grid-swatch-HARDCOVER .slot-price'],
+      PRICE_USED_AND_NEW: ['.olp-link.aod-popover-caret-link'],
+      PRICE_DEAL: [
+        '#priceblock_dealprice',
+        '#dealprice_feature_div .a-price',
+        '#corePriceDisplay_desktop_feature_div:has(#dealBadge_feature_div .a-badge-text) .priceToPay'
+      ],
+      PRICE_RANGE: [
+        '#corePriceDisplay_desktop_feature_div .a-price-range',
+        '#corePrice_desktop .a-price-range',
+        '#apex_desktop .a-price-range'
+      ],
+      PRICE_SUBSCRIBE_SAVE: [
+        '#sns-base-price',
+        '#snsAccordionRowMiddle .a-price',
+        '#subscriptionPrice .a-price'
+      ],
+      PRICE_KINDLE: [
+        '#kindle-price',
+        '#tmm-grid-swatch-KINDLE .slot-price',
+        '#digital-list-price .a-color-price'
+      ],
+      CATEGORY_BREADCRUMB: [
+        '#wayfinding-breadcrumbs_feature_div li:first-child a',
+        '#wayfinding-breadcrumbs_container li:first-child a'
+      ],
+      // Product details; JSON-LD and meta tags take precedence where present
+      CATEGORY_BREADCRUMB_LINKS: [
+        '#wayfinding-breadcrumbs_feature_div li a',
+        '#wayfinding-breadcrumbs_container li a'
+      ],
+      PRODUCT_BRAND: ['.po-brand .po-break-word', '#bylineInfo .author a', '#bylineInfo', '#brand'],
+      PRODUCT_RATING: ['#acrPopover .a-icon-alt', '#averageCustomerReviews .a-icon-alt', '#acrPopover'],
+      PRODUCT_REVIEW_COUNT: ['#acrCustomerReviewText', '#averageCustomerReviews #acrCustomerReviewLink'],
+      PRODUCT_AVAILABILITY: ['#availability span', '#availability', '#outOfStock .a-color-price'],
+      PRODUCT_ADD_TO_CART: ['#add-to-cart-button', 'input[name="submit.add-to-cart"]'],
+      PRODUCT_PRIME_BADGE: [
+        '#desktop_buybox .a-icon-prime',
+        '#buybox .a-icon-prime',
+        '#prime-badge',
+        '#deliveryBlockMessage .a-icon-prime',
+        '[data-csa-c-delivery-benefit-program-id="prime"]'
+      ],
+      PRODUCT_SELLER: [
+        '#sellerProfileTriggerId',
+        '#merchantInfoFeature_feature_div .offer-display-feature-text-message',
+        '#merchant-info a',
+        '#tabular-buybox [tabular-attribute-name="Sold by"] .tabular-buybox-text'
+      ],
+      // Variant picker ("twister"); the selected child ASIN is in the add-to-cart form
+      TWISTER_CONTAINER: ['#twister_feature_div', '#twister', '#inline-twister-expander-content'],
+      TWISTER_DIMENSIONS: [
+        '#twister [id^="variation_"]',
+        '#twister_feature_div [id^="variation_"]',
+        '[id^="inline-twister-row-"]'
+      ],
+      TWISTER_DIMENSION_NAME: ['.a-form-label', '.inline-twister-dim-title .a-text-bold', '.inline-twister-dim-title'],
+      TWISTER_DIMENSION_VALUE: [
+        '.selection',
+        '[id^="inline-twister-expanded-dimension-text-"]',
+        '.swatchSelect .a-button-text',
+        '.a-button-selected .a-button-text',
+        'select option:checked'
       ],
+      SELECTED_ASIN: ['#addToCart input#ASIN', 'input#ASIN', 'input[name="ASIN"]'],
       PRODUCT_IMAGE: [
         '#landingImage',
         '#imgBlkFront',
@@ -83,18 +190,130 @@ const CONFIG = {
       CREATE_LIST_MODAL: '.a-popover-modal[aria-label*="Create a new list"]',
       LIST_NAME_INPUT: '#list-name',
       CREATE_BUTTON: '#wl-redesigned-create-list .a-button-input',
-      CREATE_SUCCESS_MESSAGE: '#wl-huc-post-create-msg'
+      CREATE_SUCCESS_MESSAGE: '#wl-huc-post-create-msg',
+      CREATE_LIST_PRIVACY: [
+        '#list-privacy',
+        'select[name="listPrivacy"]',
+        'select[name*="privacy" i]',
+        'input[type="radio"][name*="privacy" i]'
+      ],
+      CREATE_LIST_TYPE: [
+        '#list-type',
+        'select[name="listType"]',
+        'input[type="radio"][name*="listType" i]'
+      ],
+      CREATE_LIST_DESCRIPTION: [
+        '#list-description',
+        'textarea[name*="description" i]',
+        'input[name*="description" i]'
+      ],
+      
+      // Amazon list page (loaded in a hidden frame for list-level actions)
+      LIST_PAGE_PATH: '/hz/wishlist/ls/',
+      LIST_PAGE_ITEM: [
+        'li[data-itemid]',
+        '#g-items li[data-id]'
+      ],
+      LIST_PAGE_END_MARKER: [
+        '#endOfListMarker'
+      ],
+      LIST_ITEM_DELETE_BUTTON: [
+        'input[name="submit.deleteItem"]',
+        'a[name="submit.deleteItem"]',
+        '[id^="delete-"] input',
+        'a[id^="delete-"]'
+      ],
+      LIST_ITEM_MOVE_BUTTON: [
+        '[data-action="wl-move-item"] a',
+        '[id^="move-"] a',
+        'a[href*="moveItem"]',
+        'input[name="submit.moveItem"]'
+      ],
+      MOVE_TARGET_POPOVER: [
+        '.a-popover[aria-hidden="false"]',
+        '.a-dropdown[aria-hidden="false"]'
+      ],
+      LIST_PAGE_TITLE: [
+        '#profile-list-name',
+        '#listTitle',
+        '#list-name'
+      ],
+      // Amazon's page for a list that no longer exists
+      LIST_NOT_FOUND: [
+        '#wl-list-not-found',
+        '.wl-list-not-found',
+        '#g-list-not-found'
+      ],
+      LIST_PAGE_PRIVACY: [
+        '#listPrivacy',
+        '.wl-list-privacy',
+        '[id^="list-privacy"]'
+      ],
+      
+      // List settings ("Manage list") dialog
+      LIST_MANAGE_TRIGGER: [
+        '#overflow-menu-popover-trigger',
+        '[data-action="wl-list-overflow"] a'
+      ],
+      LIST_MANAGE_LINK: [
+        '#editYourList',
+        'a[id*="editList"]',
+        '[data-action="wl-edit-list"] a'
+      ],
+      LIST_SETTINGS_DIALOG: [
+        '.a-popover-modal[aria-hidden="false"]',
+        '#list-settings-form'
+      ],
+      LIST_SETTINGS_NAME_INPUT: [
+        '#list-settings-name',
+        'input[name="listName"]',
+        'input[name="name"]'
+      ],
+      LIST_SETTINGS_PRIVACY: [
+        '#list-settings-privacy',
+        'select[name="privacy"]',
+        'select[name*="privacy" i]',
+        'input[type="radio"][name*="privacy" i]'
+      ],
+      LIST_SETTINGS_DELETE: [
+        '#list-settings-delete',
+        '#list-settings-delete-button a',
+        'a[href*="deleteList"]',
+        'input[name="submit.deleteList"]'
+      ],
+      LIST_DELETE_CONFIRM: [
+        '#list-delete-confirm input',
+        '#list-delete-confirm-button input',
+        'input[name="submit.deleteListConfirm"]'
+      ],
+      LIST_SETTINGS_SAVE: [
+        '#list-settings-save input',
+        '#list-settings-save-button',
+        '.a-button-primary .a-button-input',
+        'input[type="submit"]'
+      ],
+      FORM_ERROR: [
+        '.a-alert-error .a-alert-content',
+        '.a-form-error .a-alert-content',
+        '.a-alert-inline-error .a-alert-content'
+      ]
     },
     
+    // Note next to a dropdown entry whose list already holds the product
+    MEMBERSHIP_TEXT_PATTERN: /already in|in (?:this|your) list/i,
+    LIST_NOT_FOUND_PATTERN: /page not found|list (?:is )?no longer available|(?:does not|doesn't) exist|couldn't find/i,
+    
     // Timing configuration
     TIMING: {
       ELEMENT_WAIT_TIMEOUT_MS: 3000,
       POPOVER_WAIT_TIMEOUT_MS: 5000,
-      CONFIRMATION_WAIT_TIMEOUT_MS: 1500,
+      CONFIRMATION_WAIT_TIMEOUT_MS: 6000,
       POPOVER_RENDER_DELAY_MS: 100,
       MUTATION_DEBOUNCE_MS: 100,
       CREATE_MODAL_WAIT_MS: 3000,
-      CREATE_CONFIRMATION_WAIT_MS: 5000
+      CREATE_CONFIRMATION_WAIT_MS: 5000,
+      LIST_PAGE_LOAD_TIMEOUT_MS: 15000,
+      LIST_ITEM_ACTION_TIMEOUT_MS: 5000
     },
     
     // Event simulation
@@ -114,6 +333,9 @@ const CONFIG = {
       URL_POLL_INTERVAL_MS: 100,
       TRIGGERS: ['url', 'visibility', 'focus', 'popstate']
     },
+
+    // Twister clicks are batched before the variant is re-read
+    VARIANT_WATCH_DEBOUNCE_MS: 250,
     
     // Caching configuration
     CACHE: {
@@ -165,11 +387,25 @@ const CONFIG = {
       SETTINGS: 'settings',
       PERSIST_DROPDOWN: 'persistDropdownSearch',
       LAST_UPDATED: 'lastUpdated',
+      // The store/account scope the sidebar showed last
+      LAST_SCOPE: 'lastListScope',
       MIGRATION_VERSION: '_migration_version',
       DEVICE_ID: '_device_id'
     }
   },
 
+  // Lists and recent lists are cached as "storedLists:<scope>" and
+  // "recentLists:<scope>", where a scope is "<marketplace>/<account>"
+  SCOPES: {
+    // Holds whatever was cached before scopes existed
+    LEGACY_ID: 'legacy',
+    // Account ID used on signed-out pages
+    GUEST_ACCOUNT_ID: 'guest',
+    // Signed-in account IDs are this plus a hash of the page greeting's name.
+    // Amazon exposes no stable account ID, so same-name accounts share a scope.
+    NAME_ACCOUNT_PREFIX: 'name-'
+  },
+
   // Message passing configuration
   MESSAGING: {
     DEBOUNCE_LIST_UPDATE_MS: 150,
@@ -182,16 +418,90 @@ const CONFIG = {
       /(?:^|\/)(?:dp\/|gp\/product\/|gp\/aw\/d\/)/i
     ],
     ASIN_PATTERN: /(?:\/dp\/|\/gp\/product\/|\/gp\/aw\/d\/)([A-Z0-9]{10})/i,
+    // Product ASINs ("B0…") and ISBN-10s, which books use as their ASIN
+    BARE_ASIN_PATTERN: /^(?:B0[A-Z0-9]{8}|\d{9}[\dX])$/i,
     OG_TYPE_PATTERN: /product/i
   },
 
-  // Confirmation detection patterns
+  // Every Amazon retail store, keyed by the domain suffix after "amazon.".
+  // Prices use the currency for "$" and bare numbers, and the decimal
+  // separator that decides whether "1.234" is a thousand.
+  MARKETPLACES: {
+    'com': { country: 'US', name: 'United States', currency: 'USD', locale: 'en-US', decimalSeparator: '.' },
+    'ca': { country: 'CA', name: 'Canada', currency: 'CAD', locale: 'en-CA', decimalSeparator: '.' },
+    'com.mx': { country: 'MX', name: 'Mexico', currency: 'MXN', locale: 'es-MX', decimalSeparator: '.' },
+    'com.br': { country: 'BR', name: 'Brazil', currency: 'BRL', locale: 'pt-BR', decimalSeparator: ',' },
+    'co.uk': { country: 'GB', name: 'United Kingdom', currency: 'GBP', locale: 'en-GB', decimalSeparator: '.' },
+    'ie': { country: 'IE', name: 'Ireland', currency: 'EUR', locale: 'en-IE', decimalSeparator: '.' },
+    'de': { country: 'DE', name: 'Germany', currency: 'EUR', locale: 'de-DE', decimalSeparator: ',' },
+    'fr': { country: 'FR', name: 'France', currency: 'EUR', locale: 'fr-FR', decimalSeparator: ',' },
+    'it': { country: 'IT', name: 'Italy', currency: 'EUR', locale: 'it-IT', decimalSeparator: ',' },
+    'es': { country: 'ES', name: 'Spain', currency: 'EUR', locale: 'es-ES', decimalSeparator: ',' },
+    'nl': { country: 'NL', name: 'Netherlands', currency: 'EUR', locale: 'nl-NL', decimalSeparator: ',' },
+    'com.be': { country: 'BE', name: 'Belgium', currency: 'EUR', locale: 'fr-BE', decimalSeparator: ',' },
+    'se': { country: 'SE', name: 'Sweden', currency: 'SEK', locale: 'sv-SE', decimalSeparator: ',' },
+    'pl': { country: 'PL', name: 'Poland', currency: 'PLN', locale: 'pl-PL', decimalSeparator: ',' },
+    'com.tr': { country: 'TR', name: 'Türkiye', currency: 'TRY', locale: 'tr-TR', decimalSeparator: ',' },
+    'ae': { country: 'AE', name: 'United Arab Emirates', currency: 'AED', locale: 'en-AE', decimalSeparator: '.' },
+    'sa': { country: 'SA', name: 'Saudi Arabia', currency: 'SAR', locale: 'ar-SA', decimalSeparator: '.' },
+    'eg': { country: 'EG', name: 'Egypt', currency: 'EGP', locale: 'ar-EG', decimalSeparator: '.' },
+    'co.za': { country: 'ZA', name: 'South Africa', currency: 'ZAR', locale: 'en-ZA', decimalSeparator: '.' },
+    'in': { country: 'IN', name: 'India', currency: 'INR', locale: 'en-IN', decimalSeparator: '.' },
+    'co.jp': { country: 'JP', name: 'Japan', currency: 'JPY', locale: 'ja-JP', decimalSeparator: '.' },
+    'sg': { country: 'SG', name: 'Singapore', currency: 'SGD', locale: 'en-SG', decimalSeparator: '.' },
+    'com.au': { country: 'AU', name: 'Australia', currency: 'AUD', locale: 'en-AU', decimalSeparator: '.' }
+  },
+  // List page paths on every store; an entry in MARKETPLACES may override them
+  MARKETPLACE_LIST_URLS: {
+    listPath: '/hz/wishlist/ls/{listId}',
+    moreItemsPathPrefix: '/hz/wishlist/'
+  },
+
+  // Price strategies run in order per product category; the first one that
+  // finds a price wins. Users can reorder or turn them off per category.
+  PRICE_STRATEGIES: {
+    STORAGE_KEY: 'priceStrategyOrder',
+    STRATEGIES: [
+      { id: 'book_formats', label: 'Book formats (paperback, hardcover, used)' },
+      { id: 'deal', label: 'Deal price' },
+      { id: 'buy_box', label: 'Buy box price' },
+      { id: 'range', label: 'Price range' },
+      { id: 'subscribe_save', label: 'Subscribe & Save' },
+      { id: 'kindle', label: 'Kindle price' }
+    ],
+    // Checked in order against the store's category and the first breadcrumb
+    CATEGORIES: [
+      { id: 'kindle', label: 'Kindle books', pattern: /kindle|digital-text|ebook/i },
+      { id: 'books', label: 'Books', pattern: /^(?:books?|stripbooks|bücher|livres|libros|libri|livros|boeken|böcker|książki|kitaplar|kitap|كتب|本)(?![a-z])/i },
+      { id: 'electronics', label: 'Electronics', pattern: /electronics|computers|elektronik|électronique|electrónica|elettronica|elektronica|eletrônicos|إلكترونيات|家電|パソコン/i },
+      { id: 'grocery', label: 'Grocery', pattern: /grocery|gourmet|lebensmittel|épicerie|alimentación|alimentari|levensmiddelen|livsmedel|spożywcze|gıda|supermercado|بقالة|食品/i },
+      { id: 'home', label: 'Home & kitchen', pattern: /home|kitchen|garden|küche|garten|maison|cuisine|hogar|cocina|casa|keuken|kök|kuchnia|mutfak|cozinha|المنزل|ホーム/i }
+    ],
+    DEFAULT_ORDERS: {
+      books: ['book_formats', 'buy_box', 'kindle'],
+      kindle: ['kindle', 'buy_box', 'book_formats'],
+      grocery: ['deal', 'buy_box', 'subscribe_save', 'range'],
+      default: ['deal', 'buy_box', 'range', 'subscribe_save', 'kindle', 'book_formats']
+    }
+  },
+
+  // Confirmation detection patterns (checked in order; `outcome` names what
+  // a match means). Outcomes come from which holder is shown, not its text,
+  // so they hold on every store's language.
   CONFIRMATION_PATTERNS: [
-    { selector: '.huc-atwl-header-main', text: /added|moved|already/i },
-    { selector: '[role="alert"]', text: /\b(item|items)\s+(added|moved)\s+to\b/ },
-    { selector: '.a-popover', text: /already in|view your list/i }
+    { selector: '#atwl-inline-error-msg, #atwl-dd-error-holder .a-popover-inner, #atwl-dd-unavail-holder .a-popover-inner', text: /\S/, visibleOnly: true, outcome: 'error' },
+    { selector: '#atwl-dd-success-holder .a-popover-inner, #huc-atwl-header-section, .huc-atwl-header-main', text: /\S/, visibleOnly: true, outcome: 'added' }
   ],
 
+  // English-only fallback that marks an "added" confirmation as already_in_list
+  ALREADY_IN_LIST_PATTERN: /already/i,
+
+  // Products added through the extension, with their details at the time
+  ADDED_ITEMS: {
+    STORAGE_KEY: 'addedItems',
+    MAX_ITEMS: 1000
+  },
+
   // Development/Debug settings
   DEBUG: {
     LOGGING_ENABLED: false,
@@ -9,7 +9,6 @@
 // Load configuration
 const CONFIG = {
   PRIVACY: {
-    ALLOWED_DOMAINS: ['amazon.com', 'amazon.ca', 'amazon.co.uk', 'amazon.de', 'amazon.fr', 'amazon.es', 'amazon.it', 'amazon.co.jp'],
     REQUIRE_HTTPS: true,
     TOP_FRAME_ONLY: true
   },
@@ -19,17 +18,130 @@ const CONFIG = {
       PRODUCT_TITLE: ['xpath://*[@id="productTitle"]', '#productTitle'],
       ADD_TO_LIST_BUTTON: ['#add-to-wishlist-button', 'a[data-action="a-dropdown-button"]', 'span[data-action="a-dropdown-button"]', '.a-button-dropdown'],
       LIST_POPOVER: ['.a-popover[aria-hidden="false"]', '#atwl-popover-inner', '.a-dropdown'],
-      CREATE_LIST_MODAL: ['.a-popover-modal[aria-label*="Create a new list"]', '.a-popover-modal']
+      CREATE_LIST_MODAL: ['.a-popover-modal[aria-label*="Create a new list"]', '.a-popover-modal'],
+      CREATE_SUCCESS_MESSAGE: ['#wl-huc-post-create-msg'],
+      CREATE_LIST_PRIVACY: ['#list-privacy', 'select[name="listPrivacy"]', 'select[name*="privacy" i]', 'input[type="radio"][name*="privacy" i]'],
+      CREATE_LIST_TYPE: ['#list-type', 'select[name="listType"]', 'input[type="radio"][name*="listType" i]'],
+      CREATE_LIST_DESCRIPTION: ['#list-description', 'textarea[name*="description" i]', 'input[name*="description" i]'],
+      LIST_MEMBERSHIP_MARKERS: ['.a-icon-checkmark', '[aria-checked="true"]', '[id^="atwl-list-item-added-"]', '.atwl-item-in-list'],
+      LIST_PAGE_PATH: '/hz/wishlist/ls/',
+      LIST_PAGE_ITEM: ['li[data-itemid]', '#g-items li[data-id]'],
+      LIST_PAGE_END_MARKER: ['#endOfListMarker'],
+      LIST_ITEM_DELETE_BUTTON: ['input[name="submit.deleteItem"]', 'a[name="submit.deleteItem"]', '[id^="delete-"] input', 'a[id^="delete-"]'],
+      LIST_ITEM_MOVE_BUTTON: ['[data-action="wl-move-item"] a', '[id^="move-"] a', 'a[href*="moveItem"]', 'input[name="submit.moveItem"]'],
+      MOVE_TARGET_POPOVER: ['.a-popover[aria-hidden="false"]', '.a-dropdown[aria-hidden="false"]'],
+      LIST_PAGE_TITLE: ['#profile-list-name', '#listTitle', '#list-name'],
+      LIST_NOT_FOUND: ['#wl-list-not-found', '.wl-list-not-found', '#g-list-not-found'],
+      LIST_PAGE_PRIVACY: ['#listPrivacy', '.wl-list-privacy', '[id^="list-privacy"]'],
+      LIST_MANAGE_TRIGGER: ['#overflow-menu-popover-trigger', '[data-action="wl-list-overflow"] a'],
+      LIST_MANAGE_LINK: ['#editYourList', 'a[id*="editList"]', '[data-action="wl-edit-list"] a'],
+      LIST_SETTINGS_DIALOG: ['.a-popover-modal[aria-hidden="false"]', '#list-settings-form'],
+      LIST_SETTINGS_NAME_INPUT: ['#list-settings-name', 'input[name="listName"]', 'input[name="name"]'],
+      LIST_SETTINGS_PRIVACY: ['#list-settings-privacy', 'select[name="privacy"]', 'select[name*="privacy" i]', 'input[type="radio"][name*="privacy" i]'],
+      LIST_SETTINGS_DELETE: ['#list-settings-delete', '#list-settings-delete-button a', 'a[href*="deleteList"]', 'input[name="submit.deleteList"]'],
+      LIST_DELETE_CONFIRM: ['#list-delete-confirm input', '#list-delete-confirm-button input', 'input[name="submit.deleteListConfirm"]'],
+      LIST_SETTINGS_SAVE: ['#list-settings-save input', '#list-settings-save-button', '.a-button-primary .a-button-input', 'input[type="submit"]'],
+      PRODUCT_PRICE: ['#corePrice_feature_div .a-price', '#corePriceDisplay_desktop_feature_div .priceToPay', '#corePrice_desktop .a-price', '#price_inside_buybox', '#newBuyBoxPrice', '#priceblock_ourprice'],
+      PRICE_PAPERBACK: ['#tmm-grid-swatch-PAPERBACK .slot-price'],
+      PRICE_HARDCOVER: ['#tmm-grid-swatch-HARDCOVER .slot-price'],
+      PRICE_USED_AND_NEW: ['.olp-link.aod-popover-caret-link'],
+      PRICE_DEAL: ['#priceblock_dealprice', '#dealprice_feature_div .a-price', '#corePriceDisplay_desktop_feature_div:has(#dealBadge_feature_div .a-badge-text) .priceToPay'],
+      PRICE_RANGE: ['#corePriceDisplay_desktop_feature_div .a-price-range', '#corePrice_desktop .a-price-range', '#apex_desktop .a-price-range'],
+      PRICE_SUBSCRIBE_SAVE: ['#sns-base-price', '#snsAccordionRowMiddle .a-price', '#subscriptionPrice .a-price'],
+      PRICE_KINDLE: ['#kindle-price', '#tmm-grid-swatch-KINDLE .slot-price', '#digital-list-price .a-color-price'],
+      CATEGORY_BREADCRUMB: ['#wayfinding-breadcrumbs_feature_div li:first-child a', '#wayfinding-breadcrumbs_container li:first-child a'],
+      CATEGORY_BREADCRUMB_LINKS: ['#wayfinding-breadcrumbs_feature_div li a', '#wayfinding-breadcrumbs_container li a'],
+      PRODUCT_BRAND: ['.po-brand .po-break-word', '#bylineInfo .author a', '#bylineInfo', '#brand'],
+      PRODUCT_RATING: ['#acrPopover .a-icon-alt', '#averageCustomerReviews .a-icon-alt', '#acrPopover'],
+      PRODUCT_REVIEW_COUNT: ['#acrCustomerReviewText', '#averageCustomerReviews #acrCustomerReviewLink'],
+      PRODUCT_AVAILABILITY: ['#availability span', '#availability', '#outOfStock .a-color-price'],
+      PRODUCT_ADD_TO_CART: ['#add-to-cart-button', 'input[name="submit.add-to-cart"]'],
+      PRODUCT_PRIME_BADGE: ['#desktop_buybox .a-icon-prime', '#buybox .a-icon-prime', '#prime-badge', '#deliveryBlockMessage .a-icon-prime', '[data-csa-c-delivery-benefit-program-id="prime"]'],
+      PRODUCT_SELLER: ['#sellerProfileTriggerId', '#merchantInfoFeature_feature_div .offer-display-feature-text-message', '#merchant-info a', '#tabular-buybox [tabular-attribute-name="Sold by"] .tabular-buybox-text'],
+      ACCOUNT_GREETING: ['#nav-link-accountList-nav-line-1', '#nav-greeting-name', '#nav-link-yourAccount .nav-line-1'],
+      TWISTER_CONTAINER: ['#twister_feature_div', '#twister', '#inline-twister-expander-content'],
+      TWISTER_DIMENSIONS: ['#twister [id^="variation_"]', '#twister_feature_div [id^="variation_"]', '[id^="inline-twister-row-"]'],
+      TWISTER_DIMENSION_NAME: ['.a-form-label', '.inline-twister-dim-title .a-text-bold', '.inline-twister-dim-title'],
+      TWISTER_DIMENSION_VALUE: ['.selection', '[id^="inline-twister-expanded-dimension-text-"]', '.swatchSelect .a-button-text', '.a-button-selected .a-button-text', 'select option:checked'],
+      SELECTED_ASIN: ['#addToCart input#ASIN', 'input#ASIN', 'input[name="ASIN"]'],
+      FORM_ERROR: ['.a-alert-error .a-alert-content', '.a-form-error .a-alert-content', '.a-alert-inline-error .a-alert-content']
     },
+    // Note next to a dropdown entry whose list already holds the product
+    MEMBERSHIP_TEXT_PATTERN: /already in|in (?:this|your) list/i,
+    // Amazon's page for a list that no longer exists
+    LIST_NOT_FOUND_PATTERN: /page not found|list (?:is )?no longer available|(?:does not|doesn't) exist|couldn't find/i,
     TIMING: {
-      POPOVER_WAIT_TIMEOUT_MS: 5000
+      POPOVER_WAIT_TIMEOUT_MS: 5000,
+      CONFIRMATION_WAIT_TIMEOUT_MS: 6000,
+      LIST_PAGE_LOAD_TIMEOUT_MS: 15000,
+      LIST_ITEM_ACTION_TIMEOUT_MS: 5000,
+      CREATE_CONFIRMATION_WAIT_MS: 5000
     }
   },
   CONVENIENCE: {
     AUTO_UPDATE: { DELAY_MS: 50, URL_POLL_INTERVAL_MS: 100 },
-    FILTER: { SESSION_STORAGE_KEY: 'als_list_filter' }
+    FILTER: { SESSION_STORAGE_KEY: 'als_list_filter' },
+    VARIANT_WATCH_DEBOUNCE_MS: 250
   },
-  MESSAGING: { DEBOUNCE_LIST_UPDATE_MS: 150 }
+  MESSAGING: { DEBOUNCE_LIST_UPDATE_MS: 150 },
+  OPERATIONS: { HISTORY_LIMIT: 10 },
+  // Mirrors MARKETPLACES in config/extension-config.js; the allowed domains
+  // are derived from it
+  MARKETPLACES: {
+    'com': { country: 'US', name: 'United States', currency: 'USD', locale: 'en-US', decimalSeparator: '.' },
+    'ca': { country: 'CA', name: 'Canada', currency: 'CAD', locale: 'en-CA', decimalSeparator: '.' },
+    'com.mx': { country: 'MX', name: 'Mexico', currency: 'MXN', locale: 'es-MX', decimalSeparator: '.' },
+    'com.br': { country: 'BR', name: 'Brazil', currency: 'BRL', locale: 'pt-BR', decimalSeparator: ',' },
+    'co.uk': { country: 'GB', name: 'United Kingdom', currency: 'GBP', locale: 'en-GB', decimalSeparator: '.' },
+    'ie': { country: 'IE', name: 'Ireland', currency: 'EUR', locale: 'en-IE', decimalSeparator: '.' },
+    'de': { country: 'DE', name: 'Germany', currency: 'EUR', locale: 'de-DE', decimalSeparator: ',' },
+    'fr': { country: 'FR', name: 'France', currency: 'EUR', locale: 'fr-FR', decimalSeparator: ',' },
+    'it': { country: 'IT', name: 'Italy', currency: 'EUR', locale: 'it-IT', decimalSeparator: ',' },
+    'es': { country: 'ES', name: 'Spain', currency: 'EUR', locale: 'es-ES', decimalSeparator: ',' },
+    'nl': { country: 'NL', name: 'Netherlands', currency: 'EUR', locale: 'nl-NL', decimalSeparator: ',' },
+    'com.be': { country: 'BE', name: 'Belgium', currency: 'EUR', locale: 'fr-BE', decimalSeparator: ',' },
+    'se': { country: 'SE', name: 'Sweden', currency: 'SEK', locale: 'sv-SE', decimalSeparator: ',' },
+    'pl': { country: 'PL', name: 'Poland', currency: 'PLN', locale: 'pl-PL', decimalSeparator: ',' },
+    'com.tr': { country: 'TR', name: 'Türkiye', currency: 'TRY', locale: 'tr-TR', decimalSeparator: ',' },
+    'ae': { country: 'AE', name: 'United Arab Emirates', currency: 'AED', locale: 'en-AE', decimalSeparator: '.' },
+    'sa': { country: 'SA', name: 'Saudi Arabia', currency: 'SAR', locale: 'ar-SA', decimalSeparator: '.' },
+    'eg': { country: 'EG', name: 'Egypt', currency: 'EGP', locale: 'ar-EG', decimalSeparator: '.' },
+    'co.za': { country: 'ZA', name: 'South Africa', currency: 'ZAR', locale: 'en-ZA', decimalSeparator: '.' },
+    'in': { country: 'IN', name: 'India', currency: 'INR', locale: 'en-IN', decimalSeparator: '.' },
+    'co.jp': { country: 'JP', name: 'Japan', currency: 'JPY', locale: 'ja-JP', decimalSeparator: '.' },
+    'sg': { country: 'SG', name: 'Singapore', currency: 'SGD', locale: 'en-SG', decimalSeparator: '.' },
+    'com.au': { country: 'AU', name: 'Australia', currency: 'AUD', locale: 'en-AU', decimalSeparator: '.' }
+  },
+  PRICE_STRATEGIES: {
+    STORAGE_KEY: 'priceStrategyOrder',
+    CATEGORIES: [
+      { id: 'kindle', pattern: /kindle|digital-text|ebook/i },
+      { id: 'books', pattern: /^(?:books?|stripbooks|bücher|livres|libros|libri|livros|boeken|böcker|książki|kitaplar|kitap|كتب|本)(?![a-z])/i },
+      { id: 'electronics', pattern: /electronics|computers|elektronik|électronique|electrónica|elettronica|elektronica|eletrônicos|إلكترونيات|家電|パソコン/i },
+      { id: 'grocery', pattern: /grocery|gourmet|lebensmittel|épicerie|alimentación|alimentari|levensmiddelen|livsmedel|spożywcze|gıda|supermercado|بقالة|食品/i },
+      { id: 'home', pattern: /home|kitchen|garden|küche|garten|maison|cuisine|hogar|cocina|casa|keuken|kök|kuchnia|mutfak|cozinha|المنزل|ホーム/i }
+    ],
+    DEFAULT_ORDERS: {
+      books: ['book_formats', 'buy_box', 'kindle'],
+      kindle: ['kindle', 'buy_box', 'book_formats'],
+      grocery: ['deal', 'buy_box', 'subscribe_save', 'range'],
+      default: ['deal', 'buy_box', 'range', 'subscribe_save', 'kindle', 'book_formats']
+    }
+  },
+  // Checked in order. The holders stay in the DOM hidden, so they only count
+  // once shown; which holder appears decides the outcome, since its text is
+  // in the store's language.
+  CONFIRMATION_PATTERNS: [
+    { selector: '#atwl-inline-error-msg, #atwl-dd-error-holder .a-popover-inner, #atwl-dd-unavail-holder .a-popover-inner', text: /\S/, visibleOnly: true, outcome: 'error' },
+    { selector: '#atwl-dd-success-holder .a-popover-inner, #huc-atwl-header-section, .huc-atwl-header-main', text: /\S/, visibleOnly: true, outcome: 'added' }
+  ],
+  // English-only; turns an "added" holder into already_in_list where it matches
+  ALREADY_IN_LIST_PATTERN: /already/i,
+  // The header greeting on signed-out pages, e.g. "Hello, sign in"
+  SIGNED_OUT_PATTERN: /sign in|anmelden|identifiez-vous|identifícate|accedi|inloggen|logga in|zaloguj|giriş yap|faça seu login|تسجيل الدخول|ログイン/i,
+  // Account ids are "name-" plus a hash of the greeting name
+  NAME_ACCOUNT_PREFIX: 'name-',
+  MOVED_TEXT_PATTERN: /\bmoved\b/i
 };
 
 // Import module classes (inlined for content script)
@@ -103,7 +215,10 @@ class ElementFinder {
       observer.observe(container === document ? document.body : container, {
         childList: true, subtree: true, attributes: true
       });
-      setTimeout(() => { try { observer.disconnect(); } catch(_) {} }, timeout);
+      setTimeout(() => {
+        try { observer.disconnect(); } catch(_) {}
+        reject(new Error(`Timeout waiting for ${elementType}`));
+      }, timeout);
     });
   }
 }
@@ -138,6 +253,7 @@ class RetryManager {
 
   async retry(operation, options = {}) {
     const maxAttempts = options.maxAttempts || this.maxAttempts;
+    const shouldRetry = options.shouldRetry || (() => true);
     let lastError;
     
     for (let attempt = 1; attempt <= maxAttempts; attempt++) {
@@ -145,7 +261,7 @@ class RetryManager {
         return await operation(attempt);
       } catch (error) {
         lastError = error;
-        if (attempt === maxAttempts) throw error;
+        if (attempt === maxAttempts || !shouldRetry(error, attempt)) throw error;
         await new Promise(r => setTimeout(r, options.baseDelay || this.baseDelay));
       }
     }
@@ -153,6 +269,307 @@ class RetryManager {
   }
 }
 
+// MarketplaceRegistry class (simplified inline version)
+class MarketplaceRegistry {
+  constructor(marketplaces = {}) {
+    this.marketplaces = marketplaces;
+  }
+
+  domains() {
+    return Object.keys(this.marketplaces).map(suffix => `amazon.${suffix}`);
+  }
+
+  get(key) {
+    const suffix = String(key || '').toLowerCase().replace(/^amazon\./, '');
+    const entry = this.marketplaces[suffix];
+    if (!entry) return null;
+    return { ...entry, suffix, domain: `amazon.${suffix}` };
+  }
+
+  // Only the store's own domain and its subdomains count
+  forHostname(hostname) {
+    const host = String(hostname || '').toLowerCase().replace(/\.$/, '');
+    const match = host.match(/(?:^|\.)amazon\.([a-z.]+)$/);
+    return match ? this.get(match[1]) : null;
+  }
+}
+
+// Longest symbols first so "US$" wins over "$"
+const CURRENCY_SYMBOLS = [
+  ['US$', 'USD'], ['CA$', 'CAD'], ['AU$', 'AUD'], ['MX$', 'MXN'],
+  ['C$', 'CAD'], ['A$', 'AUD'], ['S$', 'SGD'], ['R$', 'BRL'],
+  ['£', 'GBP'], ['€', 'EUR'], ['￥', 'JPY'], ['¥', 'JPY'], ['₹', 'INR'], ['₺', 'TRY'],
+  ['د.إ', 'AED'], ['ر.س', 'SAR'], ['ج.م', 'EGP'], ['zł', 'PLN'], ['kr', 'SEK'], ['TL', 'TRY'],
+  ['USD', 'USD'], ['CAD', 'CAD'], ['AUD', 'AUD'], ['MXN', 'MXN'], ['SGD', 'SGD'],
+  ['BRL', 'BRL'], ['GBP', 'GBP'], ['EUR', 'EUR'], ['JPY', 'JPY'], ['INR', 'INR'],
+  ['TRY', 'TRY'], ['AED', 'AED'], ['SAR', 'SAR'], ['PLN', 'PLN'], ['SEK', 'SEK'],
+  ['EGP', 'EGP'], ['ZAR', 'ZAR'],
+  ['R', 'ZAR'], ['$', null]
+];
+
+class PriceParser {
+  constructor(options = {}) {
+    this.currency = options.currency || null;
+    this.decimalSeparator = options.decimalSeparator || '.';
+    this.pricePattern = this._buildPricePattern();
+  }
+
+  _buildPricePattern() {
+    const escape = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const symbols = CURRENCY_SYMBOLS.map(([symbol]) =>
+      /^[A-Za-z]/.test(symbol) ? `(?<![A-Za-z])${escape(symbol)}(?![A-Za-z])` : escape(symbol)
+    ).join('|');
+    // Grouped numbers must be tried first, or "1,234.56" would stop at "1,23";
+    // amazon.in groups by lakh ("1,23,456.00")
+    const number = "\\d{1,2}(?:,\\d{2})+,\\d{3}(?:\\.\\d{1,2})?(?!\\d)|\\d{1,3}(?:[.,\\u00a0\\u202f' ]\\d{3})+(?:[.,]\\d{1,2})?(?!\\d)|\\d+(?:[.,]\\d{1,2})?(?!\\d)";
+    return new RegExp(`(${symbols})\\s?(${number})|(${number})\\s?(${symbols})`);
+  }
+
+  // Returns { amount, currency, raw } for the first price in the text, or null
+  parse(text) {
+    const source = String(text || '');
+    const match = source.match(this.pricePattern);
+
+    if (match) {
+      const symbol = match[1] || match[4];
+      const amount = this._parseNumber(match[2] || match[3]);
+      if (amount === null) return null;
+      return { amount, currency: this._currencyFor(symbol), raw: match[0].trim() };
+    }
+
+    // Some swatches show only the number; anything longer could be a count
+    const bare = source.trim();
+    const amount = /^\d[\d.,\s\u00a0\u202f']*$/.test(bare) ? this._parseNumber(bare) : null;
+    return amount === null ? null : { amount, currency: this.currency, raw: bare };
+  }
+
+  _currencyFor(symbol) {
+    const entry = CURRENCY_SYMBOLS.find(([s]) => s === symbol);
+    const currency = entry ? entry[1] : null;
+    if (currency) return currency;
+    // "$" belongs to whichever dollar the marketplace uses
+    return this.currency || 'USD';
+  }
+
+  _parseNumber(text) {
+    const digits = text.replace(/[\s\u00a0\u202f']/g, '');
+    if (!/^\d/.test(digits)) return null;
+
+    const lastDot = digits.lastIndexOf('.');
+    const lastComma = digits.lastIndexOf(',');
+    let decimal = null;
+
+    if (lastDot !== -1 && lastComma !== -1) {
+      decimal = lastDot > lastComma ? '.' : ',';
+    } else if (lastDot !== -1 || lastComma !== -1) {
+      const separator = lastDot !== -1 ? '.' : ',';
+      const count = digits.split(separator).length - 1;
+      const decimals = digits.length - digits.lastIndexOf(separator) - 1;
+      // "1.234" is a thousand on amazon.de but "1.5" is never grouping
+      if (count === 1 && (decimals !== 3 || separator === this.decimalSeparator)) {
+        decimal = separator;
+      }
+    }
+
+    const normalized = decimal
+      ? digits.split(decimal === '.' ? ',' : '.').join('').replace(decimal, '.')
+      : digits.replace(/[.,]/g, '');
+    const amount = parseFloat(normalized);
+    return Number.isFinite(amount) ? amount : null;
+  }
+}
+
+class PriceStrategyPipeline {
+  constructor(selectors = {}, options = {}) {
+    this.selectors = selectors;
+    this.categories = options.categories || [];
+    this.defaultOrders = options.defaultOrders || {};
+    this.userOrders = {};
+    this.strategies = new Map();
+    PriceStrategyPipeline.builtInStrategies().forEach(([id, extract]) => this.register(id, extract));
+  }
+
+  // The price strategies every page gets. Each one receives a context with
+  // find(key) and price(element), and returns { price, source } or null.
+  static builtInStrategies() {
+    const priceAt = (ctx, key, source) => {
+      const price = ctx.price(ctx.find(key));
+      return price ? { price, source } : null;
+    };
+
+    return [
+      // The original book priority: paperback, then hardcover, then "Other Used and New"
+      ['book_formats', ctx =>
+        priceAt(ctx, 'PRICE_PAPERBACK', 'paperback') ||
+        priceAt(ctx, 'PRICE_HARDCOVER', 'hardcover') ||
+        priceAt(ctx, 'PRICE_USED_AND_NEW', 'used_and_new')],
+      ['deal', ctx => priceAt(ctx, 'PRICE_DEAL', 'deal')],
+      ['buy_box', ctx => priceAt(ctx, 'PRODUCT_PRICE', 'buy_box')],
+      ['range', ctx => {
+        const range = ctx.find('PRICE_RANGE');
+        const ends = range ? [...range.querySelectorAll('.a-offscreen')].map(el => ctx.price(el)).filter(Boolean) : [];
+        if (ends.length < 2) return null;
+        const [min, max] = [ends[0], ends[ends.length - 1]];
+        return { price: `${min} – ${max}`, source: 'range', range: { min, max } };
+      }],
+      ['subscribe_save', ctx => priceAt(ctx, 'PRICE_SUBSCRIBE_SAVE', 'subscribe_save')],
+      ['kindle', ctx => priceAt(ctx, 'PRICE_KINDLE', 'kindle')]
+    ];
+  }
+
+  // extract(ctx) returns { price, source } or null
+  register(id, extract) {
+    this.strategies.set(id, extract);
+  }
+
+  // User orders replace the default order of the categories they name
+  setUserOrders(orders) {
+    this.userOrders = orders && typeof orders === 'object' ? orders : {};
+  }
+
+  orderFor(category) {
+    const order = this.userOrders[category] || this.defaultOrders[category] || this.defaultOrders.default || [];
+    return order.filter(id => this.strategies.has(id));
+  }
+
+  detectCategory(root = document) {
+    const hints = [
+      root.querySelector('#nav-subnav')?.getAttribute('data-category') || '',
+      (this._find('CATEGORY_BREADCRUMB', root)?.textContent || '').trim()
+    ].filter(Boolean);
+
+    for (const category of this.categories) {
+      if (hints.some(hint => category.pattern.test(hint))) return category.id;
+    }
+    // Format swatches only appear on book pages
+    return this._find('PRICE_PAPERBACK', root) || this._find('PRICE_HARDCOVER', root) ? 'books' : 'default';
+  }
+
+  // Runs the category's strategies in order and returns the first price found
+  extract(root = document, priceParser = null) {
+    const category = this.detectCategory(root);
+    const ctx = {
+      root,
+      find: key => this._find(key, root),
+      price: element => this._priceText(element, priceParser)
+    };
+
+    for (const id of this.orderFor(category)) {
+      try {
+        const result = this.strategies.get(id)(ctx);
+        if (result?.price) {
+          return { price: result.price, source: result.source || id, strategy: id, category, range: result.range || null };
+        }
+      } catch (e) {
+        // A broken strategy must not hide the ones after it
+      }
+    }
+    return { price: '', source: '', strategy: '', category, range: null };
+  }
+
+  _find(key, root) {
+    const selectors = this.selectors[key] || [];
+    for (const selector of typeof selectors === 'string' ? [selectors] : selectors) {
+      try {
+        const element = root.querySelector(selector);
+        if (element) return element;
+      } catch (e) {
+        // Skip selectors the engine does not support
+      }
+    }
+    return null;
+  }
+
+  // Amazon renders prices twice; the screen-reader copy is the complete one
+  _priceText(element, priceParser) {
+    if (!element) return '';
+    const offscreen = element.matches('.a-offscreen') ? element : element.querySelector('.a-offscreen');
+    const text = ((offscreen || element).textContent || '').trim();
+    if (!text || text === '—') return '';
+    if (!priceParser) return text;
+    return priceParser.parse(text)?.raw || '';
+  }
+}
+
+class ConfirmationDetector {
+  constructor(patterns = [], options = {}) {
+    this.patterns = patterns;
+    this.timeout = options.timeout || 5000;
+    this.checkInterval = options.checkInterval || 100;
+  }
+
+  // Remember what already matches so only changes after an action count
+  snapshot(container = document) {
+    const baseline = new Map();
+    for (const pattern of this.patterns) {
+      for (const el of container.querySelectorAll(pattern.selector)) {
+        baseline.set(el, this._state(el));
+      }
+    }
+    return baseline;
+  }
+
+  async detect(options = {}) {
+    const timeout = options.timeout || this.timeout;
+    const container = options.container || document;
+    const baseline = options.baseline || new Map();
+    const start = Date.now();
+
+    return new Promise((resolve) => {
+      let settled = false;
+      let observer;
+      let intervalId;
+
+      const done = (result) => {
+        if (settled) return;
+        settled = true;
+        if (observer) observer.disconnect();
+        if (intervalId) clearInterval(intervalId);
+        resolve(result);
+      };
+
+      const check = () => {
+        for (const pattern of this.patterns) {
+          const element = this._findMatch(pattern, container, baseline);
+          if (element) {
+            return done({ success: true, pattern, element, text: (element.textContent || '').trim().replace(/\s+/g, ' ') });
+          }
+        }
+        if (Date.now() - start >= timeout) {
+          done({ success: false, reason: 'timeout' });
+        }
+      };
+
+      observer = new MutationObserver(() => check());
+      observer.observe(container === document ? document.body : container, {
+        childList: true, subtree: true, attributes: true, characterData: true
+      });
+      intervalId = setInterval(check, this.checkInterval);
+      check();
+      setTimeout(() => done({ success: false, reason: 'timeout' }), timeout);
+    });
+  }
+
+  _findMatch(pattern, container, baseline) {
+    for (const el of container.querySelectorAll(pattern.selector)) {
+      const text = el.textContent || '';
+      if (baseline.has(el) && baseline.get(el) === this._state(el)) continue;
+      if (pattern.visibleOnly && !this._isVisible(el)) continue;
+      if (pattern.text.test(text)) return el;
+    }
+    return null;
+  }
+
+  // A holder that was there hidden and is now shown counts as a change
+  _state(el) {
+    return `${this._isVisible(el)}|${el.textContent || ''}`;
+  }
+
+  _isVisible(el) {
+    return !el.closest('.a-hidden, [aria-hidden="true"]') && el.getClientRects().length > 0;
+  }
+}
+
 class AutoUpdateManager {
   constructor(options = {}) {
     this.updateDelay = options.updateDelay || 50;
@@ -230,11 +647,323 @@ class FilterPersistence {
   }
 }
 
+// Runs automation jobs one at a time so flows never fight over the same popover.
+// A queued job can be cancelled outright; a running one stops at its next checkpoint().
+class OperationQueue {
+  constructor(options = {}) {
+    this.historyLimit = options.historyLimit || 10;
+    this.onChange = options.onChange || (() => {});
+    this.jobs = [];
+    this.running = null;
+    this.nextId = 1;
+  }
+
+  // Resolves with the operation's own result, tagged with its job ID
+  run(type, label, operation) {
+    const job = {
+      id: `op-${Date.now().toString(36)}-${this.nextId++}`,
+      type,
+      label,
+      status: 'queued',
+      createdAt: Date.now(),
+      startedAt: null,
+      finishedAt: null,
+      error: null,
+      cancelRequested: false
+    };
+
+    job.promise = new Promise(resolve => { job.resolve = resolve; });
+    job.operation = operation;
+    this.jobs.push(job);
+    this._changed();
+    this._next();
+
+    return job.promise.then(result => ({ ...result, operationId: job.id }));
+  }
+
+  cancel(id) {
+    const job = this.jobs.find(j => j.id === id);
+    if (!job || (job.status !== 'queued' && job.status !== 'running')) return false;
+
+    job.cancelRequested = true;
+    if (job.status === 'queued') {
+      this._finish(job, 'cancelled', { success: false, cancelled: true, error: 'cancelled' });
+    } else {
+      this._changed();
+    }
+    return true;
+  }
+
+  // Called by long-running flows between steps
+  checkpoint() {
+    if (this.running?.cancelRequested) {
+      throw Object.assign(new Error('Operation cancelled'), { cancelled: true, retryable: false });
+    }
+  }
+
+  list() {
+    return this.jobs.map(({ id, type, label, status, createdAt, startedAt, finishedAt, error, cancelRequested }) => ({
+      id, type, label, status, createdAt, startedAt, finishedAt, error, cancelRequested
+    }));
+  }
+
+  async _next() {
+    if (this.running) return;
+    const job = this.jobs.find(j => j.status === 'queued');
+    if (!job) return;
+
+    this.running = job;
+    job.status = 'running';
+    job.startedAt = Date.now();
+    this._changed();
+
+    let result;
+    try {
+      result = await job.operation();
+    } catch (error) {
+      result = { success: false, error: error?.message || 'Operation failed', cancelled: !!error?.cancelled };
+    }
+
+    // A failure after a cancel request is the cancellation taking effect
+    const cancelled = result?.cancelled || (job.cancelRequested && result?.success === false);
+    if (cancelled) result = { ...result, cancelled: true };
+    this.running = null;
+    this._finish(job, cancelled ? 'cancelled' : (result?.success === false ? 'failed' : 'done'), result);
+    this._next();
+  }
+
+  _finish(job, status, result) {
+    job.status = status;
+    job.finishedAt = Date.now();
+    job.error = status === 'failed' ? (result?.error || result?.message || null) : null;
+    job.resolve(result);
+    delete job.operation;
+
+    // Keep a short history of finished jobs for status queries
+    const finished = this.jobs.filter(j => j.finishedAt);
+    const excess = finished.length - this.historyLimit;
+    if (excess > 0) {
+      const drop = new Set(finished.slice(0, excess));
+      this.jobs = this.jobs.filter(j => !drop.has(j));
+    }
+    this._changed();
+  }
+
+  _changed() {
+    try { this.onChange(this.list()); } catch (_) {}
+  }
+}
+
+// Brand, rating, stock and the like, from JSON-LD where the page has it,
+// then meta tags, then the product page markup
+class ProductMetadataExtractor {
+  constructor(elementFinder) {
+    this.elementFinder = elementFinder;
+  }
+
+  extract(asin) {
+    const ld = this._findJsonLdProduct() || {};
+    const offer = [].concat(ld.offers || [])[0] || {};
+    const text = (key) => (this.elementFinder.find(key)?.textContent || '').replace(/\s+/g, ' ').trim();
+    
+    const ldBrand = typeof ld.brand === 'string' ? ld.brand : ld.brand?.name;
+    const schemaAvailability = String(offer.availability || this._meta('availability') || '')
+      .replace(/^https?:\/\/schema\.org\//i, '');
+    const availability = text('PRODUCT_AVAILABILITY');
+    
+    let inStock = null;
+    if (schemaAvailability) {
+      inStock = /InStock|LimitedAvailability|OnlineOnly|in stock/i.test(schemaAvailability);
+    } else if (availability || this.elementFinder.find('PRODUCT_ADD_TO_CART')) {
+      inStock = !!this.elementFinder.find('PRODUCT_ADD_TO_CART');
+    }
+    
+    return {
+      brand: ldBrand || this._meta('brand') || this._cleanBrand(text('PRODUCT_BRAND')),
+      rating: this._number(ld.aggregateRating?.ratingValue ?? this._meta('ratingValue') ?? text('PRODUCT_RATING')),
+      reviewCount: this._count(ld.aggregateRating?.reviewCount ?? ld.aggregateRating?.ratingCount ??
+        this._meta('reviewCount') ?? text('PRODUCT_REVIEW_COUNT')),
+      availability,
+      inStock,
+      prime: !!this.elementFinder.find('PRODUCT_PRIME_BADGE'),
+      seller: offer.seller?.name || text('PRODUCT_SELLER'),
+      breadcrumb: this._breadcrumb(),
+      canonicalUrl: this._canonicalUrl(ld.url, asin)
+    };
+  }
+
+  _findJsonLdProduct() {
+    for (const script of document.querySelectorAll('script[type="application/ld+json"]')) {
+      try {
+        const product = this._findProductNode(JSON.parse(script.textContent));
+        if (product) return product;
+      } catch (_) {}
+    }
+    return null;
+  }
+
+  _findProductNode(node) {
+    if (Array.isArray(node)) {
+      for (const child of node) {
+        const product = this._findProductNode(child);
+        if (product) return product;
+      }
+      return null;
+    }
+    if (!node || typeof node !== 'object') return null;
+    if ([].concat(node['@type']).includes('Product')) return node;
+    return node['@graph'] ? this._findProductNode(node['@graph']) : null;
+  }
+
+  // Microdata or Open Graph product tags
+  _meta(name) {
+    const element = document.querySelector(`meta[itemprop="${name}"], meta[property="product:${name}"]`);
+    return element?.getAttribute('content') || null;
+  }
+
+  // "Visit the Anker Store" and "Brand: Anker" both become "Anker"
+  _cleanBrand(text) {
+    return text
+      .replace(/^(?:visit the|besuchen sie den|visitez la boutique|visita la tienda de|visita lo store di)\s+/i, '')
+      .replace(/(?:\s+(?:store|shop|boutique)|-store)$/i, '')
+      .replace(/^[^:]{1,20}:\s*/, '')
+      .trim();
+  }
+
+  // "4.5 out of 5 stars" and "4,5 von 5 Sternen" are both 4.5
+  _number(value) {
+    const match = String(value ?? '').match(/\d+(?:[.,]\d+)?/);
+    return match ? parseFloat(match[0].replace(',', '.')) : null;
+  }
+
+  // "12,345 ratings" and "12.345 Sternebewertungen" are both 12345
+  _count(value) {
+    const match = String(value ?? '').match(/\d[\d.,\s\u00a0]*/);
+    const digits = match ? match[0].replace(/\D/g, '') : '';
+    return digits ? parseInt(digits, 10) : null;
+  }
+
+  _breadcrumb() {
+    const selectors = CONFIG.INTERACTION.SELECTORS.CATEGORY_BREADCRUMB_LINKS;
+    for (const selector of selectors) {
+      const names = Array.from(document.querySelectorAll(selector))
+        .map(link => link.textContent.replace(/\s+/g, ' ').trim())
+        .filter(Boolean);
+      if (names.length) return names;
+    }
+    return [];
+  }
+
+  _canonicalUrl(ldUrl, asin) {
+    const href = document.querySelector('link[rel="canonical"]')?.getAttribute('href') ||
+      ldUrl ||
+      document.querySelector('meta[property="og:url"]')?.getAttribute('content');
+    try {
+      if (href) return new URL(href, location.href).href;
+    } catch (_) {}
+    return asin ? `${location.origin}/dp/${asin}` : '';
+  }
+}
+
+// Loads an Amazon list page in a hidden same-origin frame so list-level
+// actions can be automated without navigating away from the product page
+class ListPageFrame {
+  constructor(elementFinder, options = {}) {
+    this.elementFinder = elementFinder;
+    this.loadTimeout = options.loadTimeout || 15000;
+    this.frame = null;
+  }
+
+  async open(listId) {
+    this.close();
+
+    const frame = document.createElement('iframe');
+    frame.setAttribute('aria-hidden', 'true');
+    frame.tabIndex = -1;
+    frame.style.cssText = 'position:fixed;left:-10000px;top:0;width:1024px;height:768px;border:0;opacity:0;pointer-events:none;';
+    this.frame = frame;
+
+    const loaded = new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error('Timeout loading list page')), this.loadTimeout);
+      frame.addEventListener('load', () => {
+        clearTimeout(timer);
+        resolve();
+      }, { once: true });
+    });
+
+    frame.src = `${CONFIG.INTERACTION.SELECTORS.LIST_PAGE_PATH}${encodeURIComponent(listId)}`;
+    document.body.appendChild(frame);
+    await loaded;
+
+    const doc = frame.contentDocument;
+    if (!doc || !doc.body) throw new Error('List page could not be accessed');
+    return doc;
+  }
+
+  get document() {
+    return this.frame ? this.frame.contentDocument : null;
+  }
+
+  getItemAsin(row) {
+    const params = row.getAttribute('data-reposition-action-params') || '';
+    const paramsMatch = params.match(/ASIN:([A-Z0-9]{10})/i);
+    if (paramsMatch) return paramsMatch[1].toUpperCase();
+
+    const link = row.querySelector('a[href*="/dp/"], a[href*="/gp/product/"]');
+    const linkMatch = (link?.getAttribute('href') || '').match(/(?:\/dp\/|\/gp\/product\/)([A-Z0-9]{10})/i);
+    return linkMatch ? linkMatch[1].toUpperCase() : null;
+  }
+
+  getItems() {
+    const doc = this.document;
+    if (!doc) return [];
+    const selectors = CONFIG.INTERACTION.SELECTORS.LIST_PAGE_ITEM;
+    return Array.from(doc.querySelectorAll(selectors.join(', ')));
+  }
+
+  // Lists load lazily as the page scrolls, so keep scrolling until the
+  // item shows up or the end-of-list marker appears. Only the marker proves
+  // the item is absent; a stalled load or running out of scrolls is "unknown".
+  // Returns { status: 'found', row } or { status: 'absent' | 'unknown' }.
+  async findItem(asin, maxScrolls = 10) {
+    const doc = this.document;
+    if (!doc || !asin) return { status: 'unknown' };
+    const target = asin.toUpperCase();
+
+    for (let i = 0; i <= maxScrolls; i++) {
+      const items = this.getItems();
+      const match = items.find(row => this.getItemAsin(row) === target);
+      if (match) return { status: 'found', row: match };
+
+      if (this.elementFinder.find('LIST_PAGE_END_MARKER', doc)) return { status: 'absent' };
+
+      this.frame.contentWindow.scrollTo(0, doc.body.scrollHeight);
+      const start = Date.now();
+      while (Date.now() - start < 1500 && this.getItems().length === items.length) {
+        await new Promise(r => setTimeout(r, 150));
+      }
+      if (this.getItems().length === items.length) {
+        return { status: this.elementFinder.find('LIST_PAGE_END_MARKER', doc) ? 'absent' : 'unknown' };
+      }
+    }
+    return { status: 'unknown' };
+  }
+
+  close() {
+    if (this.frame) {
+      this.frame.remove();
+      this.frame = null;
+    }
+  }
+}
+
 // Main content script class using modules
 class AmazonListSidebarContent {
   constructor() {
     // Initialize modules
-    this.contextValidator = new ContextValidator(CONFIG.PRIVACY.ALLOWED_DOMAINS, {
+    this.marketplaces = new MarketplaceRegistry(CONFIG.MARKETPLACES);
+    this.marketplace = this.marketplaces.forHostname(location.hostname);
+    this.contextValidator = new ContextValidator(this.marketplaces.domains(), {
       requireHTTPS: CONFIG.PRIVACY.REQUIRE_HTTPS,
       topFrameOnly: CONFIG.PRIVACY.TOP_FRAME_ONLY
     });
@@ -242,12 +971,26 @@ class AmazonListSidebarContent {
     this.elementFinder = new ElementFinder(CONFIG.INTERACTION.SELECTORS);
     this.eventSimulator = new EventSimulator();
     this.retryManager = new RetryManager(CONFIG.INTERACTION.RETRY);
+    this.confirmationDetector = new ConfirmationDetector(CONFIG.CONFIRMATION_PATTERNS, {
+      timeout: CONFIG.INTERACTION.TIMING.CONFIRMATION_WAIT_TIMEOUT_MS
+    });
     this.updateManager = new AutoUpdateManager(CONFIG.CONVENIENCE.AUTO_UPDATE);
     this.filterPersistence = new FilterPersistence();
+    this.priceParser = new PriceParser(this.marketplace || {});
+    this.metadataExtractor = new ProductMetadataExtractor(this.elementFinder);
+    this.priceStrategies = new PriceStrategyPipeline(CONFIG.INTERACTION.SELECTORS, {
+      categories: CONFIG.PRICE_STRATEGIES.CATEGORIES,
+      defaultOrders: CONFIG.PRICE_STRATEGIES.DEFAULT_ORDERS
+    });
+    this.operationQueue = new OperationQueue({
+      historyLimit: CONFIG.OPERATIONS.HISTORY_LIMIT,
+      onChange: (operations) => this.sendOperationsUpdate(operations)
+    });
     
     // State
     this.productInfo = null;
     this.userLists = [];
+    this.listMembership = { asin: null, listIds: new Set() };
     this.persistDropdownSearch = true;
     this.sendListsTimer = null;
     
@@ -263,6 +1006,7 @@ class AmazonListSidebarContent {
       this.productInfo = this.extractProductInfo();
       this.interceptListData();
       this.watchProductTitle();
+      this.watchVariantSelection();
       this.sendProductUpdate(true);
       
       // Setup auto-update
@@ -314,53 +1058,43 @@ class AmazonListSidebarContent {
       );
     }
     
-    // Enhanced price extraction logic - Priority order:
-    // 1. Paperback price
-    // 2. Hardcover price  
-    // 3. "Other Used and New" price
-    // 4. Nothing (no fallback to general price selectors)
-    let extractedPrice = '';
-    
-    // First priority: Paperback price from the format selector
-    const paperbackSwatch = document.querySelector('#tmm-grid-swatch-PAPERBACK .slot-price');
-    if (paperbackSwatch) {
-      const priceText = paperbackSwatch.textContent.trim();
-      // Extract price if it's not just "—"
-      if (priceText && priceText !== '—') {
-        extractedPrice = priceText;
-      }
+    // Amazon's add button files the variant picked in the twister, which the
+    // URL does not always follow
+    info.variant = this.extractVariant();
+    if (info.variant?.asin && info.variant.asin !== info.asin) {
+      info.pageAsin = info.asin;
+      info.asin = info.variant.asin;
     }
     
-    // Second priority: Hardcover price if no Paperback
-    if (!extractedPrice) {
-      const hardcoverSwatch = document.querySelector('#tmm-grid-swatch-HARDCOVER .slot-price');
-      if (hardcoverSwatch) {
-        const priceText = hardcoverSwatch.textContent.trim();
-        // Extract price if it's not just "—"
-        if (priceText && priceText !== '—') {
-          extractedPrice = priceText;
-        }
-      }
-    }
+    // The first strategy in the category's order that finds a price wins; books
+    // keep the paperback, hardcover, "Other Used and New" priority as one strategy.
+    // The source is kept with the price so a price history never mixes formats.
+    const extracted = this.priceStrategies.extract(document, this.priceParser);
+    info.price = extracted.price;
+    info.priceSource = extracted.source;
+    info.priceCategory = extracted.category;
     
-    // Third priority: "Other Used and New" section
-    if (!extractedPrice) {
-      const otherPriceElement = document.querySelector('.olp-link.aod-popover-caret-link');
-      if (otherPriceElement) {
-        const priceMatch = otherPriceElement.textContent.match(/\$[\d,]+\.?\d*/);
-        if (priceMatch) {
-          extractedPrice = priceMatch[0];
-        }
-      }
+    // Parsed here so every consumer agrees on the marketplace's separators.
+    // A range has no single amount, so it stays text and keeps its two ends.
+    if (extracted.range) {
+      const min = this.priceParser.parse(extracted.range.min);
+      const max = this.priceParser.parse(extracted.range.max);
+      info.priceAmount = null;
+      info.priceRange = { min: min ? min.amount : null, max: max ? max.amount : null };
+      info.currency = min?.currency || '';
+    } else {
+      const parsedPrice = this.priceParser.parse(info.price);
+      info.priceAmount = parsedPrice ? parsedPrice.amount : null;
+      info.priceRange = null;
+      info.currency = parsedPrice?.currency || '';
     }
     
-    // No fallback - if none of the above, show nothing
-    
-    info.price = extractedPrice;
-    
     const imageElement = document.querySelector('#landingImage, #imgBlkFront, .a-dynamic-image');
     info.image = imageElement ? imageElement.src : '';
     
+    info.details = this.metadataExtractor.extract(info.asin);
+    info.account = this.detectAccount();
+    
     return info;
   }
 
@@ -436,8 +1170,12 @@ class AmazonListSidebarContent {
       const linkElement = container.querySelector(`#atwl-link-to-list-${listId}`);
       const privacyElement = container.querySelector(`#atwl-list-privacy-${listId}`);
       const privacy = privacyElement ? privacyElement.textContent.trim() : '';
+      const entryElement = linkElement || nameElement.closest('a, li') || nameElement;
       
       if (listName && listName !== 'Create a List') {
+        if (this.isProductInListEntry(entryElement, nameElement)) {
+          this.setListMembership(listId, true);
+        }
         lists.push({
           id: listId,
           name: listName,
@@ -453,6 +1191,35 @@ class AmazonListSidebarContent {
     }
   }
 
+  // Amazon marks lists that already hold the current ASIN with a checkmark
+  // or an "already in list" note next to the list name
+  isProductInListEntry(entryElement, nameElement) {
+    if (!entryElement) return false;
+    if (entryElement.getAttribute('aria-checked') === 'true') return true;
+    if (this.elementFinder.find('LIST_MEMBERSHIP_MARKERS', entryElement)) return true;
+    
+    const entryText = (entryElement.textContent || '').replace(nameElement.textContent || '', '');
+    return CONFIG.INTERACTION.MEMBERSHIP_TEXT_PATTERN.test(entryText);
+  }
+
+  getListMembership() {
+    const asin = this.productInfo?.asin || null;
+    if (this.listMembership.asin !== asin) {
+      this.listMembership = { asin, listIds: new Set() };
+    }
+    return this.listMembership;
+  }
+
+  setListMembership(listId, contains) {
+    const membership = this.getListMembership();
+    if (!membership.asin) return;
+    if (contains) {
+      membership.listIds.add(listId);
+    } else {
+      membership.listIds.delete(listId);
+    }
+  }
+
   queueSendListsUpdate(delay = CONFIG.MESSAGING.DEBOUNCE_LIST_UPDATE_MS) {
     if (this.sendListsTimer) clearTimeout(this.sendListsTimer);
     this.sendListsTimer = setTimeout(() => {
@@ -468,10 +1235,17 @@ class AmazonListSidebarContent {
       privacy: list.privacy
     }));
 
+    const membership = this.getListMembership();
+
     browser.runtime.sendMessage({
       type: 'UPDATE_LISTS',
+      account: this.detectAccount(),
       lists: cleanLists,
-      productInfo: this.productInfo
+      productInfo: this.productInfo,
+      membership: {
+        asin: membership.asin,
+        listIds: Array.from(membership.listIds)
+      }
     }).catch(err => {
       console.error('Failed to send lists to sidebar:', err);
     });
@@ -492,10 +1266,60 @@ class AmazonListSidebarContent {
     }
   }
 
-  async handleAddToListAction(listId) {
+  // The background keeps what was added, with the product details at that moment
+  sendItemAdded(listId) {
+    browser.runtime.sendMessage({
+      type: 'ITEM_ADDED',
+      listId,
+      listName: this.getListName(listId),
+      productInfo: this.extractProductInfo()
+    }).catch(() => {});
+  }
+
+  sendOperationsUpdate(operations = this.operationQueue.list()) {
+    browser.runtime.sendMessage({
+      type: 'OPERATIONS_UPDATE',
+      operations
+    }).catch(() => {});
+  }
+
+  queueOperation(message, operation) {
+    return this.operationQueue.run(message.type, this.describeOperation(message), operation);
+  }
+
+  getListName(listId) {
+    return this.userLists.find(list => list.id === listId)?.name || listId;
+  }
+
+  describeOperation(message) {
+    switch (message.type) {
+      case 'ADD_TO_LIST':
+        return `Add to "${this.getListName(message.listId)}"`;
+      case 'ADD_TO_LISTS':
+        return `Add to ${(message.listIds || []).length} lists`;
+      case 'REMOVE_FROM_LIST':
+        return `Remove from "${this.getListName(message.listId)}"`;
+      case 'MOVE_TO_LIST':
+        return `Move to "${message.targetListName || this.getListName(message.targetListId)}"`;
+      case 'UPDATE_LIST_SETTINGS':
+        return `Update "${this.getListName(message.listId)}"`;
+      case 'DELETE_LIST':
+        return `Delete "${this.getListName(message.listId)}"`;
+      case 'CREATE_LIST':
+        return `Create "${message.listName}"`;
+      case 'CREATE_LIST_AND_ADD':
+        return `Create "${message.listName}" and add`;
+      case 'REQUEST_LISTS':
+        return 'Refresh lists';
+      default:
+        return message.type;
+    }
+  }
+
+  async handleAddToListAction(listId, options = {}) {
     // Open dropdown and find the list link (with retries)
     const { popover, linkElement } = await this.retryManager.retry(async (attempt) => {
-      const popover = await this.openListDropdownAndWait();
+      const popover = await this.openListDropdownAndWait(!!options.forceNew);
       if (!popover) throw new Error('Could not open dropdown');
 
       let linkElement = popover.querySelector(`#atwl-link-to-list-${listId}`);
@@ -513,11 +1337,28 @@ class AmazonListSidebarContent {
       baseDelay: CONFIG.INTERACTION.RETRY.BASE_DELAY_MS
     });
 
-    // Click the list link once
-    this.eventSimulator.click(linkElement);
+    // The variant can change while the dropdown opens; never file a different one
+    const selected = this.extractProductInfo();
+    if (options.expectedAsin && selected.asin !== options.expectedAsin) {
+      return {
+        outcome: 'error',
+        message: 'The selected variant changed before the add, so nothing was added',
+        asin: selected.asin,
+        variant: selected.variant
+      };
+    }
     
-    // Wait for the action to process
-    await new Promise(r => setTimeout(r, 1000));
+    // Click the list link once and wait for Amazon to confirm (or complain).
+    // Without a confirmation, the list's entry gaining its membership marker
+    // still shows the add went through.
+    this.operationQueue.checkpoint();
+    const nameElement = popover.querySelector(`#atwl-list-name-${listId}`) || linkElement;
+    const wasMember = this.isProductInListEntry(linkElement, nameElement);
+    const baseline = this.confirmationDetector.snapshot();
+    this.eventSimulator.click(linkElement);
+    const detection = await this.confirmationDetector.detect({ baseline });
+    const becameMember = !wasMember && linkElement.isConnected && this.isProductInListEntry(linkElement, nameElement);
+    const result = this.classifyAddConfirmation(detection, becameMember);
     
     // Clear filter if needed
     if (!this.persistDropdownSearch) {
@@ -525,26 +1366,465 @@ class AmazonListSidebarContent {
       this.setListFilterValue(popover, '');
     }
     
-    return true;
-  }
-
-
-  findListSearchInput(scopeEl) {
-    const container = scopeEl || document.querySelector('.a-popover[aria-hidden="false"], #atwl-popover-inner, .a-dropdown') || document;
-    const input = container.querySelector('input[type="search"], input[placeholder*="Search" i], input[aria-label*="Search" i], input[type="text"]');
-    
-    if (input && !input.dataset.alsFilterListenerAttached) {
-      input.addEventListener('input', () => {
-        this.filterPersistence.save(input.value);
-      });
-      input.dataset.alsFilterListenerAttached = '1';
+    if (result.outcome === 'added' || result.outcome === 'already_in_list') {
+      this.setListMembership(listId, true);
+      this.queueSendListsUpdate();
+      this.sendItemAdded(listId);
     }
     
-    return input;
+    return { ...result, asin: selected.asin, variant: selected.variant };
   }
 
-  getListFilterValue(scopeEl) {
-    const input = this.findListSearchInput(scopeEl);
+  // Outcomes: added, already_in_list, error (with Amazon's message), unconfirmed
+  classifyAddConfirmation(detection, becameMember = false) {
+    if (!detection.success) {
+      return becameMember ? { outcome: 'added', message: '' } : { outcome: 'unconfirmed' };
+    }
+    if (detection.pattern.outcome === 'error') {
+      return { outcome: 'error', message: detection.text };
+    }
+    if (CONFIG.ALREADY_IN_LIST_PATTERN.test(detection.text)) {
+      return { outcome: 'already_in_list', message: detection.text };
+    }
+    return { outcome: 'added', message: detection.text };
+  }
+
+  isAddOutcomeSuccess(outcome) {
+    return outcome === 'added' || outcome === 'already_in_list';
+  }
+
+  // Runs the adds one after another; each add gets a fresh dropdown since
+  // the previous add leaves Amazon's confirmation popover open
+  async handleAddToListsAction(listIds, expectedAsin = this.extractProductInfo().asin) {
+    const results = [];
+    
+    for (let i = 0; i < listIds.length; i++) {
+      const listId = listIds[i];
+      try {
+        // Every list gets the variant that was selected when the batch started
+        const result = await this.handleAddToListAction(listId, { forceNew: i > 0, expectedAsin });
+        results.push({ listId, success: this.isAddOutcomeSuccess(result.outcome), ...result });
+      } catch (e) {
+        if (e?.cancelled) {
+          // Report the lists that were never attempted
+          listIds.slice(i).forEach(id => results.push({ listId: id, success: false, outcome: 'cancelled' }));
+          break;
+        }
+        results.push({ listId, success: false, outcome: 'error', error: e?.message || 'ADD_TO_LIST failed' });
+      }
+    }
+    
+    return results;
+  }
+
+  async handleRemoveFromListAction(listId) {
+    const asin = this.extractProductInfo().asin;
+    if (!asin) throw new Error('Could not determine product ASIN');
+
+    const listPage = new ListPageFrame(this.elementFinder, {
+      loadTimeout: CONFIG.INTERACTION.TIMING.LIST_PAGE_LOAD_TIMEOUT_MS
+    });
+
+    try {
+      // Load the list page and look for the product (with retries)
+      const lookup = await this.retryManager.retry(async () => {
+        await listPage.open(listId);
+        return await listPage.findItem(asin);
+      }, {
+        maxAttempts: 2,
+        baseDelay: 1000
+      });
+
+      if (lookup.status === 'absent') {
+        this.setListMembership(listId, false);
+        this.queueSendListsUpdate();
+        return { removed: false, reason: 'not_in_list' };
+      }
+      if (lookup.status !== 'found') {
+        return { removed: false, reason: 'unverified', attempted: false };
+      }
+      const row = lookup.row;
+
+      const deleteButton = this.elementFinder.find('LIST_ITEM_DELETE_BUTTON', row);
+      if (!deleteButton) throw new Error('Delete button not found on list page');
+
+      // Click delete once and wait for Amazon to acknowledge it
+      this.eventSimulator.click(deleteButton);
+      await this.waitForCondition(
+        () => !row.isConnected || /\bdeleted\b/i.test(row.textContent || ''),
+        CONFIG.INTERACTION.TIMING.LIST_ITEM_ACTION_TIMEOUT_MS
+      );
+
+      // Verify against a fresh copy of the list page
+      await listPage.open(listId);
+      const check = await listPage.findItem(asin);
+
+      if (check.status === 'found') {
+        return { removed: false, reason: 'still_in_list' };
+      }
+      if (check.status !== 'absent') {
+        return { removed: false, reason: 'unverified', attempted: true };
+      }
+      
+      this.setListMembership(listId, false);
+      this.queueSendListsUpdate();
+      return { removed: true };
+    } finally {
+      listPage.close();
+    }
+  }
+
+  async handleMoveToListAction(sourceListId, targetListId, options = {}) {
+    const asin = options.asin || this.extractProductInfo().asin;
+    if (!asin) throw new Error('Could not determine product ASIN');
+    if (sourceListId === targetListId) throw new Error('Source and target list are the same');
+
+    const timeout = CONFIG.INTERACTION.TIMING.LIST_ITEM_ACTION_TIMEOUT_MS;
+    const listPage = new ListPageFrame(this.elementFinder, {
+      loadTimeout: CONFIG.INTERACTION.TIMING.LIST_PAGE_LOAD_TIMEOUT_MS
+    });
+
+    try {
+      const lookup = await this.retryManager.retry(async () => {
+        await listPage.open(sourceListId);
+        return await listPage.findItem(asin);
+      }, {
+        maxAttempts: 2,
+        baseDelay: 1000
+      });
+
+      if (lookup.status === 'absent') {
+        return { moved: false, reason: 'not_in_source' };
+      }
+      if (lookup.status !== 'found') {
+        return { moved: false, reason: 'unverified', attempted: false };
+      }
+      const row = lookup.row;
+
+      const doc = listPage.document;
+      const moveButton = this.elementFinder.find('LIST_ITEM_MOVE_BUTTON', row);
+      if (!moveButton) throw new Error('Move button not found on list page');
+
+      // Open the "Move to another list" menu for this item
+      this.eventSimulator.click(moveButton);
+      const menu = await this.elementFinder.waitFor('MOVE_TARGET_POPOVER', {
+        container: doc,
+        timeout,
+        condition: (el) => !!this.findMoveTarget(el, targetListId, options.targetListName)
+      });
+
+      this.eventSimulator.click(this.findMoveTarget(menu, targetListId, options.targetListName));
+      await this.waitForCondition(
+        () => !row.isConnected || CONFIG.MOVED_TEXT_PATTERN.test(row.textContent || ''),
+        timeout
+      );
+
+      // Verify on both lists: the item must have left the source and
+      // arrived in the target
+      await listPage.open(targetListId);
+      const inTarget = (await listPage.findItem(asin)).status;
+      await listPage.open(sourceListId);
+      const inSource = (await listPage.findItem(asin)).status;
+
+      if (inTarget === 'absent') {
+        return { moved: false, reason: 'not_in_target' };
+      }
+      if (inSource === 'found') {
+        return { moved: false, reason: 'still_in_source' };
+      }
+      if (inTarget !== 'found' || inSource !== 'absent') {
+        return { moved: false, reason: 'unverified', attempted: true };
+      }
+
+      if (asin === this.productInfo?.asin) {
+        this.setListMembership(sourceListId, false);
+        this.setListMembership(targetListId, true);
+        this.queueSendListsUpdate();
+      }
+      return { moved: true };
+    } finally {
+      listPage.close();
+    }
+  }
+
+  findMoveTarget(menu, listId, listName) {
+    const byId = menu.querySelector(`[data-list-id="${CSS.escape(listId)}"], a[href*="${CSS.escape(listId)}"], #move-to-list-${CSS.escape(listId)}`);
+    if (byId) return byId;
+    if (!listName) return null;
+
+    const candidates = menu.querySelectorAll('a, li, [role="option"], [role="menuitem"]');
+    for (const candidate of candidates) {
+      if ((candidate.textContent || '').trim() === listName) return candidate;
+    }
+    return null;
+  }
+
+  async handleUpdateListSettings(listId, changes = {}) {
+    const wantsName = typeof changes.name === 'string' && changes.name.trim() !== '';
+    const wantsPrivacy = typeof changes.privacy === 'string' && changes.privacy !== '';
+    if (!wantsName && !wantsPrivacy) throw new Error('Nothing to update');
+
+    const timeout = CONFIG.INTERACTION.TIMING.LIST_ITEM_ACTION_TIMEOUT_MS;
+    const listPage = new ListPageFrame(this.elementFinder, {
+      loadTimeout: CONFIG.INTERACTION.TIMING.LIST_PAGE_LOAD_TIMEOUT_MS
+    });
+
+    try {
+      const dialog = await this.retryManager.retry(async () => {
+        const doc = await listPage.open(listId);
+        return await this.openListSettingsDialog(doc);
+      }, {
+        maxAttempts: 2,
+        baseDelay: 1000
+      });
+
+      if (wantsName) {
+        const nameInput = this.elementFinder.find('LIST_SETTINGS_NAME_INPUT', dialog);
+        if (!nameInput) throw new Error('Could not find list name field');
+        if (!(await this.setInputValue(nameInput, changes.name.trim()))) {
+          throw new Error('Could not set list name');
+        }
+      }
+
+      if (wantsPrivacy && !this.setChoiceValue(dialog, 'LIST_SETTINGS_PRIVACY', changes.privacy)) {
+        throw new Error(`Privacy "${changes.privacy}" is not available for this list`);
+      }
+      // Option values are the same in every language, unlike their labels
+      const privacyValue = wantsPrivacy ? this.selectedChoiceValue(dialog, 'LIST_SETTINGS_PRIVACY') : null;
+
+      const saveButton = this.elementFinder.find('LIST_SETTINGS_SAVE', dialog);
+      if (!saveButton) throw new Error('Could not find save button');
+
+      // Save once, then wait for the dialog to close or show an error
+      this.eventSimulator.click(saveButton);
+      await this.waitForCondition(
+        () => !dialog.isConnected || dialog.getAttribute('aria-hidden') === 'true' ||
+              !!this.elementFinder.find('FORM_ERROR', dialog),
+        timeout
+      );
+
+      const errorElement = dialog.isConnected && this.elementFinder.find('FORM_ERROR', dialog);
+      const errorText = errorElement ? errorElement.textContent.trim() : '';
+      if (errorText) {
+        return { updated: false, error: errorText };
+      }
+
+      // Read back what Amazon now shows in a freshly opened settings dialog;
+      // a field that can't be read proves nothing, so the update is unverified
+      const doc = await listPage.open(listId);
+      const list = this.readListPageSettings(doc, listId);
+      const savedDialog = await this.openListSettingsDialog(doc).catch(() => null);
+      const savedName = savedDialog
+        ? (this.elementFinder.find('LIST_SETTINGS_NAME_INPUT', savedDialog)?.value || '').trim()
+        : '';
+      const name = savedName || list.name;
+      const savedPrivacy = savedDialog ? this.selectedChoiceValue(savedDialog, 'LIST_SETTINGS_PRIVACY') : null;
+
+      if ((wantsName && !name) || (wantsPrivacy && (savedPrivacy === null || privacyValue === null))) {
+        return { updated: false, error: 'unverified', list };
+      }
+      if (wantsName && name !== changes.name.trim()) {
+        return { updated: false, error: 'Amazon did not apply the new name', list };
+      }
+      if (wantsPrivacy && savedPrivacy !== privacyValue) {
+        return { updated: false, error: 'Amazon did not apply the new privacy', list };
+      }
+      list.name = name;
+
+      this.userLists = this.userLists.map(existing =>
+        existing.id === listId ? { ...existing, name: list.name || existing.name, privacy: list.privacy || existing.privacy } : existing
+      );
+      this.queueSendListsUpdate();
+
+      return { updated: true, list };
+    } finally {
+      listPage.close();
+    }
+  }
+
+  async handleDeleteListAction(listId) {
+    const timeout = CONFIG.INTERACTION.TIMING.LIST_ITEM_ACTION_TIMEOUT_MS;
+    const listPage = new ListPageFrame(this.elementFinder, {
+      loadTimeout: CONFIG.INTERACTION.TIMING.LIST_PAGE_LOAD_TIMEOUT_MS
+    });
+
+    try {
+      const dialog = await this.retryManager.retry(async () => {
+        const doc = await listPage.open(listId);
+        return await this.openListSettingsDialog(doc);
+      }, {
+        maxAttempts: 2,
+        baseDelay: 1000
+      });
+
+      const deleteLink = this.elementFinder.find('LIST_SETTINGS_DELETE', dialog);
+      if (!deleteLink) throw new Error('Could not find "Delete list" in list settings');
+      this.eventSimulator.click(deleteLink);
+
+      // Amazon asks once more before deleting
+      const confirmButton = await this.elementFinder.waitFor('LIST_DELETE_CONFIRM', {
+        container: listPage.document,
+        timeout
+      });
+      this.eventSimulator.click(confirmButton);
+
+      await this.waitForCondition(() => {
+        const doc = listPage.document;
+        return !doc || !confirmButton.isConnected || !this.elementFinder.find('LIST_PAGE_TITLE', doc);
+      }, timeout);
+
+      // Verify by reloading the list; a reload that proves nothing is not a delete
+      const gone = await this.isListGone(listPage, listId);
+      if (gone === null) {
+        return { deleted: false, error: 'unverified' };
+      }
+      if (!gone) {
+        return { deleted: false, error: 'Amazon did not delete the list' };
+      }
+
+      this.userLists = this.userLists.filter(list => list.id !== listId);
+      this.setListMembership(listId, false);
+      this.queueSendListsUpdate();
+
+      return { deleted: true };
+    } finally {
+      listPage.close();
+    }
+  }
+
+  // true when Amazon redirects away from the list or shows its "not found"
+  // page, false when the list still loads, null when the reload tells neither
+  async isListGone(listPage, listId) {
+    let doc;
+    let path;
+    try {
+      doc = await listPage.open(listId);
+      path = listPage.frame.contentWindow.location.pathname;
+    } catch (_) {
+      return null;
+    }
+
+    // A sign-in redirect says nothing about the list
+    if (/\/wishlist\//.test(path) && !path.includes(listId)) return true;
+
+    const alerts = Array.from(doc.querySelectorAll('.a-alert-content'), el => el.textContent || '');
+    if (this.elementFinder.find('LIST_NOT_FOUND', doc) ||
+        [doc.title, ...alerts].some(text => CONFIG.INTERACTION.LIST_NOT_FOUND_PATTERN.test(text))) {
+      return true;
+    }
+    return this.elementFinder.find('LIST_PAGE_TITLE', doc) && path.includes(listId) ? false : null;
+  }
+
+  async openListSettingsDialog(doc) {
+    const timeout = CONFIG.INTERACTION.TIMING.LIST_ITEM_ACTION_TIMEOUT_MS;
+    const hasFields = (el) => !!this.elementFinder.find('LIST_SETTINGS_NAME_INPUT', el);
+
+    // "Manage list" sits behind the overflow ("More") menu on most layouts
+    let manageLink = this.elementFinder.find('LIST_MANAGE_LINK', doc);
+    if (!manageLink || !manageLink.offsetParent) {
+      const trigger = this.elementFinder.find('LIST_MANAGE_TRIGGER', doc);
+      if (trigger) this.eventSimulator.click(trigger);
+      manageLink = await this.elementFinder.waitFor('LIST_MANAGE_LINK', { container: doc, timeout });
+    }
+
+    this.eventSimulator.click(manageLink);
+    return await this.elementFinder.waitFor('LIST_SETTINGS_DIALOG', {
+      container: doc,
+      timeout,
+      condition: hasFields
+    });
+  }
+
+  readListPageSettings(doc, listId) {
+    const title = this.elementFinder.find('LIST_PAGE_TITLE', doc);
+    const privacy = this.elementFinder.find('LIST_PAGE_PRIVACY', doc);
+    return {
+      id: listId,
+      name: title ? title.textContent.trim() : '',
+      privacy: privacy ? privacy.textContent.trim() : ''
+    };
+  }
+
+  // Works for both native selects and radio groups
+  setChoiceValue(container, elementType, wanted) {
+    const control = this.elementFinder.find(elementType, container);
+    if (!control) return false;
+    if (control.tagName === 'SELECT') return this.setSelectValue(control, wanted);
+
+    for (const radio of this.getRadioGroup(container, control)) {
+      if (this.choiceMatches(radio.value, radio.closest('label')?.textContent, wanted)) {
+        this.eventSimulator.click(radio);
+        return radio.checked;
+      }
+    }
+    return false;
+  }
+
+  // Reads back the selected option so a choice can be verified before submitting
+  isChoiceSelected(container, elementType, wanted) {
+    const control = this.elementFinder.find(elementType, container);
+    if (!control) return false;
+    if (control.tagName === 'SELECT') {
+      const option = control.options[control.selectedIndex];
+      return !!option && this.choiceMatches(option.value, option.textContent, wanted);
+    }
+    const checked = this.getRadioGroup(container, control).find(radio => radio.checked);
+    return !!checked && this.choiceMatches(checked.value, checked.closest('label')?.textContent, wanted);
+  }
+
+  // The value of the selected option or checked radio; null when there is none
+  selectedChoiceValue(container, elementType) {
+    const control = this.elementFinder.find(elementType, container);
+    if (!control) return null;
+    if (control.tagName === 'SELECT') {
+      const option = control.options[control.selectedIndex];
+      return option ? option.value : null;
+    }
+    const checked = this.getRadioGroup(container, control).find(radio => radio.checked);
+    return checked ? checked.value : null;
+  }
+
+  getRadioGroup(container, control) {
+    const name = control.getAttribute('name');
+    return name
+      ? Array.from(container.querySelectorAll(`input[type="radio"][name="${CSS.escape(name)}"]`))
+      : [control];
+  }
+
+  // Amazon labels often carry a hint after the option name ("Public Anyone can see...")
+  choiceMatches(value, label, wanted) {
+    const target = String(wanted).trim().toLowerCase();
+    const text = (label || '').trim().toLowerCase();
+    return String(value).toLowerCase() === target || text === target || text.startsWith(`${target} `);
+  }
+
+  async waitForCondition(check, timeout, interval = 100) {
+    const start = Date.now();
+    while (Date.now() - start < timeout) {
+      try {
+        if (check()) return true;
+      } catch (_) {}
+      await new Promise(r => setTimeout(r, interval));
+    }
+    return false;
+  }
+
+  findListSearchInput(scopeEl) {
+    const container = scopeEl || document.querySelector('.a-popover[aria-hidden="false"], #atwl-popover-inner, .a-dropdown') || document;
+    const input = container.querySelector('input[type="search"], input[placeholder*="Search" i], input[aria-label*="Search" i], input[type="text"]');
+    
+    if (input && !input.dataset.alsFilterListenerAttached) {
+      input.addEventListener('input', () => {
+        this.filterPersistence.save(input.value);
+      });
+      input.dataset.alsFilterListenerAttached = '1';
+    }
+    
+    return input;
+  }
+
+  getListFilterValue(scopeEl) {
+    const input = this.findListSearchInput(scopeEl);
     return input ? input.value : '';
   }
 
@@ -595,6 +1875,82 @@ class AmazonListSidebarContent {
     });
   }
 
+  // The signed-in account, as far as the page header tells. Amazon shows only
+  // the first name, so the ID is derived from it; signed-out pages are "guest".
+  // Pages carry no stable customer id, only the greeting's name, so accounts
+  // with the same name share an id. The id is hashed to keep the name itself
+  // out of storage keys.
+  detectAccount() {
+    const greeting = (this.elementFinder.find('ACCOUNT_GREETING')?.textContent || '').replace(/\s+/g, ' ').trim();
+    const name = greeting.includes(',') ? greeting.slice(greeting.indexOf(',') + 1).trim() : greeting;
+    if (!name || CONFIG.SIGNED_OUT_PATTERN.test(name)) {
+      return { id: 'guest', name: '' };
+    }
+    return { id: `${CONFIG.NAME_ACCOUNT_PREFIX}${this.hashText(name.toLowerCase())}`, name };
+  }
+
+  // 32-bit FNV-1a as 8 hex digits; an opaque key, not a secret
+  hashText(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+  }
+
+  // Dimension names and values of the selected variant, with its ASIN; null
+  // on products without variants
+  extractVariant() {
+    const dimensions = [];
+    for (const selector of CONFIG.INTERACTION.SELECTORS.TWISTER_DIMENSIONS) {
+      document.querySelectorAll(selector).forEach(row => {
+        const name = (this.elementFinder.find('TWISTER_DIMENSION_NAME', row)?.textContent || '')
+          .replace(/\s+/g, ' ').replace(/:\s*$/, '').trim();
+        const value = (this.elementFinder.find('TWISTER_DIMENSION_VALUE', row)?.textContent || '')
+          .replace(/\s+/g, ' ').trim();
+        if (name && value) dimensions.push({ name, value });
+      });
+      if (dimensions.length) break;
+    }
+    if (!dimensions.length) return null;
+    
+    const asin = (this.elementFinder.find('SELECTED_ASIN')?.value || '').trim().toUpperCase();
+    return { asin: /^[A-Z0-9]{10}$/.test(asin) ? asin : null, dimensions };
+  }
+
+  // Twister clicks swap parts of the page without navigating, so the
+  // variant is re-read whenever the twister changes. Only the selected
+  // dimensions and ASIN are compared; the full product is extracted once
+  // they differ.
+  watchVariantSelection() {
+    const container = this.elementFinder.find('TWISTER_CONTAINER');
+    if (!container) return;
+    
+    const signature = (variant) => JSON.stringify(variant || null);
+    let last = signature(this.productInfo?.variant);
+    let timer = null;
+    
+    const observer = new MutationObserver(() => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        if (!this.detectProductPage()) return;
+        const current = signature(this.extractVariant());
+        if (current !== last) {
+          last = current;
+          this.sendProductUpdate(true);
+        }
+      }, CONFIG.CONVENIENCE.VARIANT_WATCH_DEBOUNCE_MS);
+    });
+    
+    observer.observe(container, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: ['class', 'value']
+    });
+  }
+
   watchProductTitle() {
     const titleElement = document.getElementById('productTitle');
     if (titleElement) {
@@ -612,16 +1968,60 @@ class AmazonListSidebarContent {
 
   async loadSettings() {
     try {
-      const res = await browser.storage.sync.get('persistDropdownSearch');
+      const res = await browser.storage.sync.get(['persistDropdownSearch', CONFIG.PRICE_STRATEGIES.STORAGE_KEY]);
       this.persistDropdownSearch = (res && typeof res.persistDropdownSearch === 'boolean') 
         ? res.persistDropdownSearch 
         : true;
+      
+      // The first extraction ran with the default orders
+      const orders = res?.[CONFIG.PRICE_STRATEGIES.STORAGE_KEY];
+      if (orders && Object.keys(orders).length > 0) {
+        this.priceStrategies.setUserOrders(orders);
+        this.sendProductUpdate(true);
+      }
     } catch (_) {
       this.persistDropdownSearch = true;
     }
   }
 
-  async createNewList(listName) {
+  // Set an input value with multiple methods to ensure it takes, then verify
+  async setInputValue(input, value) {
+    for (let i = 0; i < 3; i++) {
+      input.focus();
+      input.value = '';
+      input.value = value;
+      
+      // Dispatch multiple events to ensure the value is registered
+      input.dispatchEvent(new Event('focus', { bubbles: true }));
+      input.dispatchEvent(new Event('click', { bubbles: true }));
+      input.dispatchEvent(new KeyboardEvent('keydown', { bubbles: true }));
+      input.dispatchEvent(new Event('input', { bubbles: true }));
+      input.dispatchEvent(new Event('change', { bubbles: true }));
+      input.dispatchEvent(new KeyboardEvent('keyup', { bubbles: true }));
+      input.dispatchEvent(new Event('blur', { bubbles: true }));
+      
+      await new Promise(r => setTimeout(r, 100));
+      
+      if (input.value === value) return true;
+    }
+    return input.value === value;
+  }
+
+  // Select the option whose value or label matches, case-insensitively
+  setSelectValue(select, wanted) {
+    const option = Array.from(select.options).find(opt =>
+      this.choiceMatches(opt.value, opt.textContent, wanted)
+    );
+    if (!option) return false;
+    
+    select.value = option.value;
+    select.dispatchEvent(new Event('input', { bubbles: true }));
+    select.dispatchEvent(new Event('change', { bubbles: true }));
+    return select.value === option.value;
+  }
+
+  // options: { privacy, listType, description }; each one is optional
+  async createNewList(listName, options = {}) {
     return await this.retryManager.retry(async (attempt) => {
       // Close any existing dropdown first to get a fresh one
       const existingDropdown = document.querySelector('.a-popover[aria-hidden="false"], #atwl-popover-inner');
@@ -682,31 +2082,14 @@ class AmazonListSidebarContent {
         throw new Error('Could not find list name input');
       }
 
-      // Set the input value with multiple methods to ensure it takes
-      for (let i = 0; i < 3; i++) {
-        nameInput.focus();
-        nameInput.value = '';
-        nameInput.value = listName;
-        
-        // Dispatch multiple events to ensure the value is registered
-        nameInput.dispatchEvent(new Event('focus', { bubbles: true }));
-        nameInput.dispatchEvent(new Event('click', { bubbles: true }));
-        nameInput.dispatchEvent(new KeyboardEvent('keydown', { bubbles: true }));
-        nameInput.dispatchEvent(new Event('input', { bubbles: true }));
-        nameInput.dispatchEvent(new Event('change', { bubbles: true }));
-        nameInput.dispatchEvent(new KeyboardEvent('keyup', { bubbles: true }));
-        nameInput.dispatchEvent(new Event('blur', { bubbles: true }));
-        
-        await new Promise(r => setTimeout(r, 100));
-        
-        // Verify the value was set
-        if (nameInput.value === listName) {
-          break;
-        }
+      if (!(await this.setInputValue(nameInput, listName))) {
+        throw new Error('Could not set list name in input field');
       }
 
-      if (nameInput.value !== listName) {
-        throw new Error('Could not set list name in input field');
+      // Missing options are not retried: the modal for this store simply lacks them
+      const optionError = await this.applyCreateListOptions(modal, options);
+      if (optionError) {
+        throw Object.assign(new Error(optionError), { retryable: false, invalidOption: true });
       }
 
       // Find the create button
@@ -718,17 +2101,32 @@ class AmazonListSidebarContent {
         throw new Error('Could not find create button');
       }
 
-      // Click the create button only ONCE to avoid creating multiple lists
+      // Remember the lists that exist now so the new one can be told apart
+      const knownIds = new Set(this.userLists.map(list => list.id));
+      document.querySelectorAll('span[id^="atwl-list-name-"]').forEach(el => {
+        knownIds.add(el.id.replace('atwl-list-name-', ''));
+      });
+
+      this.operationQueue.checkpoint();
+
+      // Click the create button only ONCE to avoid creating multiple lists.
+      // Nothing after this point is retried, since a retry could create a duplicate.
       this.eventSimulator.click(createButton);
 
-      // Wait for success confirmation or modal to close
-      await new Promise(resolve => setTimeout(resolve, 3000));
+      const creation = await this.waitForListCreation(modal, listName, knownIds);
+      if (creation.error) {
+        throw Object.assign(new Error(creation.error), { retryable: false, fromAmazon: true });
+      }
 
-      // Check if modal closed (success indicator)
-      const modalStillOpen = document.querySelector('.a-popover-modal[aria-hidden="false"]');
-      if (modalStillOpen) {
-        // Modal still open might mean error or still processing
-        await new Promise(resolve => setTimeout(resolve, 2000));
+      let listId = creation.listId;
+      if (!listId) {
+        // Confirmed (or modal closed) without an ID: look for the new entry in a fresh dropdown
+        const popover = await this.openListDropdownAndWait(true).catch(() => null);
+        listId = popover ? this.findNewListEntry(listName, knownIds, popover) : null;
+      }
+
+      if (!listId) {
+        throw Object.assign(new Error('Amazon did not confirm the new list'), { retryable: false });
       }
 
       // Extract lists again to get the new list
@@ -736,37 +2134,226 @@ class AmazonListSidebarContent {
                       document.querySelector('#atwl-popover-inner');
       if (popover) {
         this.extractListsFromDropdown(popover);
-        // Send the updated lists to the sidebar immediately
-        this.sendListsToSidebar();
       }
+      if (!this.userLists.some(list => list.id === listId)) {
+        this.userLists = [...this.userLists, { id: listId, name: listName, privacy: '' }];
+      }
+      // Send the updated lists to the sidebar immediately
+      this.sendListsToSidebar();
 
-      return { success: true, listName: listName };
+      return { success: true, listName: listName, listId };
     }, {
       maxAttempts: 3,
-      baseDelay: 1000
+      baseDelay: 1000,
+      shouldRetry: (error) => error.retryable !== false
     }).catch(error => {
       console.error('Failed to create list after retries:', error);
-      return { success: false, error: error.message };
+      return {
+        success: false,
+        error: error.message,
+        fromAmazon: !!error.fromAmazon,
+        invalidOption: !!error.invalidOption,
+        cancelled: !!error.cancelled
+      };
     });
   }
+
+  // List type goes first since switching it can re-render the rest of the modal.
+  // Returns an error message, or null once every requested value reads back correctly.
+  async applyCreateListOptions(modal, options) {
+    // The last entry is Amazon's own default, which a dialog without the
+    // control gives anyway
+    const choices = [
+      ['listType', 'CREATE_LIST_TYPE', 'list type', null],
+      ['privacy', 'CREATE_LIST_PRIVACY', 'privacy', 'Private']
+    ];
+    const applied = new Set();
+
+    for (const [key, elementType, label, defaultValue] of choices) {
+      if (!options[key]) continue;
+      if (!this.elementFinder.find(elementType, modal)) {
+        if (options[key] === defaultValue) continue;
+        return `Amazon's create-list dialog has no ${label} option here`;
+      }
+      applied.add(key);
+      if (!this.setChoiceValue(modal, elementType, options[key])) {
+        return `"${options[key]}" is not an available ${label}`;
+      }
+      await new Promise(r => setTimeout(r, 200));
+    }
+
+    if (options.description) {
+      const descriptionInput = this.elementFinder.find('CREATE_LIST_DESCRIPTION', modal);
+      if (!descriptionInput) {
+        return "Amazon's create-list dialog has no description field here";
+      }
+      if (!(await this.setInputValue(descriptionInput, options.description))) {
+        return 'Could not set the list description';
+      }
+    }
+
+    for (const [key, elementType, label] of choices) {
+      if (applied.has(key) && !this.isChoiceSelected(modal, elementType, options[key])) {
+        return `Amazon did not keep the chosen ${label}`;
+      }
+    }
+    return null;
+  }
+
+  getCreateListOptions(message) {
+    return {
+      privacy: message.privacy,
+      listType: message.listType,
+      description: message.description
+    };
+  }
+
+  // Creates the list, then adds the current product to it. A failed add is
+  // reported alongside the created list rather than as a failed creation.
+  async createListAndAdd(listName, options = {}) {
+    const expectedAsin = this.extractProductInfo().asin;
+    const created = await this.createNewList(listName, options);
+    if (!created.success) return created;
+
+    let added;
+    try {
+      this.operationQueue.checkpoint();
+      added = await this.handleAddToListAction(created.listId, { forceNew: true, expectedAsin });
+    } catch (error) {
+      added = error?.cancelled
+        ? { outcome: 'cancelled', message: 'Add cancelled' }
+        : { outcome: 'error', message: error?.message || 'Add failed' };
+    }
+
+    return { ...created, added: { success: this.isAddOutcomeSuccess(added.outcome), ...added } };
+  }
+
+  // Resolves with the new list's ID (when Amazon shows it), a bare
+  // confirmation, or the validation error Amazon put in the modal
+  async waitForListCreation(modal, listName, knownIds) {
+    let result = null;
+
+    await this.waitForCondition(() => {
+      const errorElement = this.elementFinder.find('FORM_ERROR', modal);
+      if (errorElement && this.isVisible(errorElement) && errorElement.textContent.trim()) {
+        result = { error: errorElement.textContent.trim().replace(/\s+/g, ' ') };
+        return true;
+      }
+
+      const newId = this.findNewListEntry(listName, knownIds);
+      if (newId) {
+        result = { listId: newId };
+        return true;
+      }
+
+      const successMessage = this.elementFinder.find('CREATE_SUCCESS_MESSAGE');
+      if (successMessage && this.isVisible(successMessage)) {
+        const href = successMessage.querySelector('a[href*="/wishlist/ls/"]')?.getAttribute('href') || '';
+        const idMatch = href.match(/\/wishlist\/ls\/([A-Z0-9]+)/i);
+        result = { listId: idMatch ? idMatch[1] : null, confirmed: true };
+        return true;
+      }
+      return false;
+    }, CONFIG.INTERACTION.TIMING.CREATE_CONFIRMATION_WAIT_MS);
+
+    return result || { listId: null, confirmed: false };
+  }
+
+  findNewListEntry(listName, knownIds, container = document) {
+    for (const el of container.querySelectorAll('span[id^="atwl-list-name-"]')) {
+      const id = el.id.replace('atwl-list-name-', '');
+      if (!knownIds.has(id) && el.textContent.trim() === listName) return id;
+    }
+    return null;
+  }
+
+  isVisible(el) {
+    return !el.closest('.a-hidden, [aria-hidden="true"]') && el.getClientRects().length > 0;
+  }
 }
 
 // Message listener
 browser.runtime.onMessage.addListener((message, sender) => {
   if (message.type === 'ADD_TO_LIST') {
-    return (async () => {
+    return contentScript.queueOperation(message, async () => {
+      try {
+        if (!contentScript.detectProductPage()) {
+          return { success: false, error: 'not_on_product_page' };
+        }
+        // Deferred jobs name their product; the tab may have moved on since
+        if (message.asin && contentScript.extractProductInfo().asin !== message.asin) {
+          return { success: false, error: 'product_changed' };
+        }
+        const result = await contentScript.handleAddToListAction(message.listId, { expectedAsin: message.asin });
+        return { success: contentScript.isAddOutcomeSuccess(result.outcome), ...result };
+      } catch (e) {
+        return { success: false, outcome: 'error', error: e?.message || 'ADD_TO_LIST failed' };
+      }
+    });
+  } else if (message.type === 'ADD_TO_LISTS') {
+    return contentScript.queueOperation(message, async () => {
+      try {
+        if (!contentScript.detectProductPage()) {
+          return { success: false, error: 'not_on_product_page' };
+        }
+        const listIds = Array.isArray(message.listIds) ? message.listIds : [];
+        const results = await contentScript.handleAddToListsAction(listIds, message.asin || undefined);
+        return { success: results.length > 0 && results.every(r => r.success), results };
+      } catch (e) {
+        return { success: false, error: e?.message || 'ADD_TO_LISTS failed' };
+      }
+    });
+  } else if (message.type === 'REMOVE_FROM_LIST') {
+    return contentScript.queueOperation(message, async () => {
       try {
         if (!contentScript.detectProductPage()) {
           return { success: false, error: 'not_on_product_page' };
         }
-        const ok = await contentScript.handleAddToListAction(message.listId);
-        return { success: !!ok };
+        const result = await contentScript.handleRemoveFromListAction(message.listId);
+        return { success: result.removed, ...result };
       } catch (e) {
-        return { success: false, error: e?.message || 'ADD_TO_LIST failed' };
+        return { success: false, removed: false, error: e?.message || 'REMOVE_FROM_LIST failed' };
       }
-    })();
+    });
+  } else if (message.type === 'MOVE_TO_LIST') {
+    return contentScript.queueOperation(message, async () => {
+      try {
+        // An explicit ASIN lets the move run from any Amazon page
+        if (!message.asin && !contentScript.detectProductPage()) {
+          return { success: false, error: 'not_on_product_page' };
+        }
+        const result = await contentScript.handleMoveToListAction(message.sourceListId, message.targetListId, {
+          asin: message.asin,
+          targetListName: message.targetListName
+        });
+        return { success: result.moved, ...result };
+      } catch (e) {
+        return { success: false, moved: false, error: e?.message || 'MOVE_TO_LIST failed' };
+      }
+    });
+  } else if (message.type === 'UPDATE_LIST_SETTINGS') {
+    return contentScript.queueOperation(message, async () => {
+      try {
+        const result = await contentScript.handleUpdateListSettings(message.listId, {
+          name: message.name,
+          privacy: message.privacy
+        });
+        return { success: result.updated, ...result };
+      } catch (e) {
+        return { success: false, updated: false, error: e?.message || 'UPDATE_LIST_SETTINGS failed' };
+      }
+    });
+  } else if (message.type === 'DELETE_LIST') {
+    return contentScript.queueOperation(message, async () => {
+      try {
+        const result = await contentScript.handleDeleteListAction(message.listId);
+        return { success: result.deleted, ...result };
+      } catch (e) {
+        return { success: false, deleted: false, error: e?.message || 'DELETE_LIST failed' };
+      }
+    });
   } else if (message.type === 'REQUEST_LISTS') {
-    return (async () => {
+    return contentScript.queueOperation(message, async () => {
       try {
         if (!contentScript.detectProductPage()) {
           return { success: false, listCount: contentScript.userLists.length, error: 'not_on_product_page' };
@@ -776,19 +2363,40 @@ browser.runtime.onMessage.addListener((message, sender) => {
       } catch (e) {
         return { success: false, listCount: contentScript.userLists.length, error: e?.message || 'REQUEST_LISTS failed' };
       }
-    })();
+    });
   } else if (message.type === 'CREATE_LIST') {
-    return (async () => {
+    return contentScript.queueOperation(message, async () => {
       try {
         if (!contentScript.detectProductPage()) {
           return { success: false, error: 'not_on_product_page' };
         }
-        const result = await contentScript.createNewList(message.listName);
+        const result = await contentScript.createNewList(message.listName, contentScript.getCreateListOptions(message));
         return result;
       } catch (e) {
         return { success: false, error: e?.message || 'CREATE_LIST failed' };
       }
-    })();
+    });
+  } else if (message.type === 'CREATE_LIST_AND_ADD') {
+    return contentScript.queueOperation(message, async () => {
+      try {
+        if (!contentScript.detectProductPage()) {
+          return { success: false, error: 'not_on_product_page' };
+        }
+        return await contentScript.createListAndAdd(message.listName, contentScript.getCreateListOptions(message));
+      } catch (e) {
+        return { success: false, error: e?.message || 'CREATE_LIST_AND_ADD failed' };
+      }
+    });
+  } else if (message.type === 'GET_PRODUCT_INFO') {
+    // Only reads the page, so it doesn't wait in the operation queue
+    if (!contentScript.detectProductPage()) {
+      return Promise.resolve({ success: false, error: 'not_on_product_page' });
+    }
+    return Promise.resolve({ success: true, productInfo: contentScript.extractProductInfo() });
+  } else if (message.type === 'GET_OPERATIONS') {
+    return Promise.resolve({ success: true, operations: contentScript.operationQueue.list() });
+  } else if (message.type === 'CANCEL_OPERATION') {
+    return Promise.resolve({ success: contentScript.operationQueue.cancel(message.operationId) });
   }
 });
 
@@ -800,6 +2408,12 @@ try {
         const nv = changes.persistDropdownSearch.newValue;
         contentScript.persistDropdownSearch = (typeof nv === 'boolean') ? nv : true;
       }
+      if (area === 'sync' && changes && changes[CONFIG.PRICE_STRATEGIES.STORAGE_KEY]) {
+        contentScript.priceStrategies.setUserOrders(changes[CONFIG.PRICE_STRATEGIES.STORAGE_KEY].newValue);
+        if (contentScript.productInfo) {
+          contentScript.sendProductUpdate(true);
+        }
+      }
     });
   }
 } catch (_) {}
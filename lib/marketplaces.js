@@ -0,0 +1,118 @@
+/**
+ * Marketplaces Module
+ * Every Amazon retail store, with the metadata the extension needs per store
+ */
+
+// Keyed by the domain suffix after "amazon.". manifest.json and
+// CONFIG.PRIVACY.ALLOWED_DOMAINS must list the same stores.
+const MARKETPLACES = {
+  'com': { country: 'US', name: 'United States', currency: 'USD', locale: 'en-US', decimalSeparator: '.' },
+  'ca': { country: 'CA', name: 'Canada', currency: 'CAD', locale: 'en-CA', decimalSeparator: '.' },
+  'com.mx': { country: 'MX', name: 'Mexico', currency: 'MXN', locale: 'es-MX', decimalSeparator: '.' },
+  'com.br': { country: 'BR', name: 'Brazil', currency: 'BRL', locale: 'pt-BR', decimalSeparator: ',' },
+  'co.uk': { country: 'GB', name: 'United Kingdom', currency: 'GBP', locale: 'en-GB', decimalSeparator: '.' },
+  'ie': { country: 'IE', name: 'Ireland', currency: 'EUR', locale: 'en-IE', decimalSeparator: '.' },
+  'de': { country: 'DE', name: 'Germany', currency: 'EUR', locale: 'de-DE', decimalSeparator: ',' },
+  'fr': { country: 'FR', name: 'France', currency: 'EUR', locale: 'fr-FR', decimalSeparator: ',' },
+  'it': { country: 'IT', name: 'Italy', currency: 'EUR', locale: 'it-IT', decimalSeparator: ',' },
+  'es': { country: 'ES', name: 'Spain', currency: 'EUR', locale: 'es-ES', decimalSeparator: ',' },
+  'nl': { country: 'NL', name: 'Netherlands', currency: 'EUR', locale: 'nl-NL', decimalSeparator: ',' },
+  'com.be': { country: 'BE', name: 'Belgium', currency: 'EUR', locale: 'fr-BE', decimalSeparator: ',' },
+  'se': { country: 'SE', name: 'Sweden', currency: 'SEK', locale: 'sv-SE', decimalSeparator: ',' },
+  'pl': { country: 'PL', name: 'Poland', currency: 'PLN', locale: 'pl-PL', decimalSeparator: ',' },
+  'com.tr': { country: 'TR', name: 'Türkiye', currency: 'TRY', locale: 'tr-TR', decimalSeparator: ',' },
+  'ae': { country: 'AE', name: 'United Arab Emirates', currency: 'AED', locale: 'en-AE', decimalSeparator: '.' },
+  'sa': { country: 'SA', name: 'Saudi Arabia', currency: 'SAR', locale: 'ar-SA', decimalSeparator: '.' },
+  'eg': { country: 'EG', name: 'Egypt', currency: 'EGP', locale: 'ar-EG', decimalSeparator: '.' },
+  'co.za': { country: 'ZA', name: 'South Africa', currency: 'ZAR', locale: 'en-ZA', decimalSeparator: '.' },
+  'in': { country: 'IN', name: 'India', currency: 'INR', locale: 'en-IN', decimalSeparator: '.' },
+  'co.jp': { country: 'JP', name: 'Japan', currency: 'JPY', locale: 'ja-JP', decimalSeparator: '.' },
+  'sg': { country: 'SG', name: 'Singapore', currency: 'SGD', locale: 'en-SG', decimalSeparator: '.' },
+  'com.au': { country: 'AU', name: 'Australia', currency: 'AUD', locale: 'en-AU', decimalSeparator: '.' }
+};
+
+// Every store serves lists from the same paths; an entry may override them
+const LIST_URL_PATTERNS = {
+  listPath: '/hz/wishlist/ls/{listId}',
+  moreItemsPathPrefix: '/hz/wishlist/'
+};
+
+class MarketplaceRegistry {
+  /**
+   * @param {Object} marketplaces - Store metadata keyed by domain suffix, as in MARKETPLACES
+   * @param {Object} [listUrlPatterns] - Defaults for stores that don't set their own
+   */
+  constructor(marketplaces = MARKETPLACES, listUrlPatterns = LIST_URL_PATTERNS) {
+    this.marketplaces = marketplaces;
+    this.listUrlPatterns = listUrlPatterns;
+  }
+
+  /**
+   * @returns {Array<Object>} Every store, each with its domain ("amazon.de")
+   */
+  all() {
+    return Object.keys(this.marketplaces).map(suffix => this.get(suffix));
+  }
+
+  // "amazon.com", "amazon.co.uk", ... for context checks and match patterns
+  domains() {
+    return Object.keys(this.marketplaces).map(suffix => `amazon.${suffix}`);
+  }
+
+  /**
+   * @param {string} key - A suffix ("co.uk") or domain ("amazon.co.uk")
+   * @returns {Object|null}
+   */
+  get(key) {
+    const suffix = String(key || '').toLowerCase().replace(/^amazon\./, '');
+    const entry = this.marketplaces[suffix];
+    if (!entry) return null;
+    return { ...this.listUrlPatterns, ...entry, suffix, domain: `amazon.${suffix}` };
+  }
+
+  /**
+   * Finds the store a hostname belongs to. Only the store's own domain and
+   * its subdomains count, so "amazon.com.evil.example" is not amazon.com.
+   * @param {string} hostname - e.g. "www.amazon.com.au"
+   * @returns {Object|null}
+   */
+  forHostname(hostname) {
+    const host = String(hostname || '').toLowerCase().replace(/\.$/, '');
+    const match = host.match(/(?:^|\.)amazon\.([a-z.]+)$/);
+    return match ? this.get(match[1]) : null;
+  }
+
+  // Accepts full URLs and origins; anything but https is not a store
+  forUrl(url) {
+    try {
+      const parsed = new URL(url);
+      return parsed.protocol === 'https:' ? this.forHostname(parsed.hostname) : null;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  isMarketplaceUrl(url) {
+    return this.forUrl(url) !== null;
+  }
+
+  origin(key) {
+    const marketplace = this.get(key);
+    return marketplace ? `https://www.${marketplace.domain}` : null;
+  }
+
+  // Relative, for pages already on the store
+  listPath(key, listId) {
+    const marketplace = this.get(key);
+    return marketplace ? marketplace.listPath.replace('{listId}', encodeURIComponent(listId)) : null;
+  }
+
+  listUrl(key, listId) {
+    const path = this.listPath(key, listId);
+    return path ? `${this.origin(key)}${path}` : null;
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { MarketplaceRegistry, MARKETPLACES, LIST_URL_PATTERNS };
+}
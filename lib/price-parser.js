@@ -0,0 +1,123 @@
+/**
+ * Price Parser Module
+ * Turns Amazon price text from any marketplace into an amount and currency
+ */
+
+// Longest symbols first so "US$" wins over "$"
+const CURRENCY_SYMBOLS = [
+  ['US$', 'USD'], ['CA$', 'CAD'], ['AU$', 'AUD'], ['MX$', 'MXN'],
+  ['C$', 'CAD'], ['A$', 'AUD'], ['S$', 'SGD'], ['R$', 'BRL'],
+  ['£', 'GBP'], ['€', 'EUR'], ['￥', 'JPY'], ['¥', 'JPY'], ['₹', 'INR'], ['₺', 'TRY'],
+  ['د.إ', 'AED'], ['ر.س', 'SAR'], ['ج.م', 'EGP'], ['zł', 'PLN'], ['kr', 'SEK'], ['TL', 'TRY'],
+  ['USD', 'USD'], ['CAD', 'CAD'], ['AUD', 'AUD'], ['MXN', 'MXN'], ['SGD', 'SGD'],
+  ['BRL', 'BRL'], ['GBP', 'GBP'], ['EUR', 'EUR'], ['JPY', 'JPY'], ['INR', 'INR'],
+  ['TRY', 'TRY'], ['AED', 'AED'], ['SAR', 'SAR'], ['PLN', 'PLN'], ['SEK', 'SEK'],
+  ['EGP', 'EGP'], ['ZAR', 'ZAR'],
+  ['R', 'ZAR'], ['$', null]
+];
+
+class PriceParser {
+  /**
+   * @param {Object} options
+   * @param {string} [options.currency] - Currency for "$" and bare numbers
+   * @param {string} [options.decimalSeparator] - Decides "1.234" vs "1,234"
+   */
+  constructor(options = {}) {
+    this.currency = options.currency || null;
+    this.decimalSeparator = options.decimalSeparator || '.';
+    this.pricePattern = this._buildPricePattern();
+  }
+
+  // marketplaces maps a domain suffix ("de", "co.uk") to { currency, decimalSeparator },
+  // as MARKETPLACES in lib/marketplaces.js does
+  static forHostname(hostname, marketplaces = {}) {
+    const suffix = String(hostname || '').toLowerCase().replace(/^.*?amazon\./, '');
+    return new PriceParser(marketplaces[suffix] || {});
+  }
+
+  _buildPricePattern() {
+    const escape = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const symbols = CURRENCY_SYMBOLS.map(([symbol]) =>
+      /^[A-Za-z]/.test(symbol) ? `(?<![A-Za-z])${escape(symbol)}(?![A-Za-z])` : escape(symbol)
+    ).join('|');
+    // Grouped numbers must be tried first, or "1,234.56" would stop at "1,23";
+    // amazon.in groups by lakh ("1,23,456.00")
+    const number = "\\d{1,2}(?:,\\d{2})+,\\d{3}(?:\\.\\d{1,2})?(?!\\d)|\\d{1,3}(?:[.,\\u00a0\\u202f' ]\\d{3})+(?:[.,]\\d{1,2})?(?!\\d)|\\d+(?:[.,]\\d{1,2})?(?!\\d)";
+    return new RegExp(`(${symbols})\\s?(${number})|(${number})\\s?(${symbols})`);
+  }
+
+  /**
+   * Parses the first price in a piece of text
+   * @param {string} text - e.g. "$1,234.56", "12,34 €", "￥1,234", "from 9,99 €"
+   * @returns {{amount: number, currency: string|null, raw: string}|null}
+   */
+  parse(text) {
+    const source = String(text || '');
+    const match = source.match(this.pricePattern);
+
+    if (match) {
+      const symbol = match[1] || match[4];
+      const amount = this._parseNumber(match[2] || match[3]);
+      if (amount === null) return null;
+      return { amount, currency: this._currencyFor(symbol), raw: match[0].trim() };
+    }
+
+    // Some swatches show only the number; anything longer could be a count
+    const bare = source.trim();
+    const amount = /^\d[\d.,\s\u00a0\u202f']*$/.test(bare) ? this._parseNumber(bare) : null;
+    return amount === null ? null : { amount, currency: this.currency, raw: bare };
+  }
+
+  _currencyFor(symbol) {
+    const entry = CURRENCY_SYMBOLS.find(([s]) => s === symbol);
+    const currency = entry ? entry[1] : null;
+    if (currency) return currency;
+    // "$" belongs to whichever dollar the marketplace uses
+    return this.currency || 'USD';
+  }
+
+  _parseNumber(text) {
+    const digits = text.replace(/[\s\u00a0\u202f']/g, '');
+    if (!/^\d/.test(digits)) return null;
+
+    const lastDot = digits.lastIndexOf('.');
+    const lastComma = digits.lastIndexOf(',');
+    let decimal = null;
+
+    if (lastDot !== -1 && lastComma !== -1) {
+      decimal = lastDot > lastComma ? '.' : ',';
+    } else if (lastDot !== -1 || lastComma !== -1) {
+      const separator = lastDot !== -1 ? '.' : ',';
+      const count = digits.split(separator).length - 1;
+      const decimals = digits.length - digits.lastIndexOf(separator) - 1;
+      // "1.234" is a thousand on amazon.de but "1.5" is never grouping
+      if (count === 1 && (decimals !== 3 || separator === this.decimalSeparator)) {
+        decimal = separator;
+      }
+    }
+
+    const normalized = decimal
+      ? digits.split(decimal === '.' ? ',' : '.').join('').replace(decimal, '.')
+      : digits.replace(/[.,]/g, '');
+    const amount = parseFloat(normalized);
+    return Number.isFinite(amount) ? amount : null;
+  }
+
+  /**
+   * Formats an amount for display in the user's locale
+   * @returns {string} Empty when the amount is unknown
+   */
+  static format(amount, currency, locale) {
+    if (typeof amount !== 'number' || !Number.isFinite(amount)) return '';
+    if (!currency) return new Intl.NumberFormat(locale).format(amount);
+    try {
+      return new Intl.NumberFormat(locale, { style: 'currency', currency }).format(amount);
+    } catch (e) {
+      return `${amount} ${currency}`;
+    }
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { PriceParser, CURRENCY_SYMBOLS };
+}
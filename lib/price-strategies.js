@@ -0,0 +1,136 @@
+/**
+ * Price Strategies Module
+ * Ordered, pluggable price extraction for product pages
+ */
+
+class PriceStrategyPipeline {
+  /**
+   * @param {Object} selectors - Selector lists by key, as in CONFIG.INTERACTION.SELECTORS
+   * @param {Object} options
+   * @param {Array<{id: string, pattern: RegExp}>} [options.categories] - Checked in order
+   * @param {Object<string, string[]>} [options.defaultOrders] - Strategy IDs per category, with a "default" entry
+   */
+  constructor(selectors = {}, options = {}) {
+    this.selectors = selectors;
+    this.categories = options.categories || [];
+    this.defaultOrders = options.defaultOrders || {};
+    this.userOrders = {};
+    this.strategies = new Map();
+    PriceStrategyPipeline.builtInStrategies().forEach(([id, extract]) => this.register(id, extract));
+  }
+
+  // The price strategies every page gets. Each one receives a context with
+  // find(key) and price(element), and returns { price, source } or null.
+  static builtInStrategies() {
+    const priceAt = (ctx, key, source) => {
+      const price = ctx.price(ctx.find(key));
+      return price ? { price, source } : null;
+    };
+
+    return [
+      // The original book priority: paperback, then hardcover, then "Other Used and New"
+      ['book_formats', ctx =>
+        priceAt(ctx, 'PRICE_PAPERBACK', 'paperback') ||
+        priceAt(ctx, 'PRICE_HARDCOVER', 'hardcover') ||
+        priceAt(ctx, 'PRICE_USED_AND_NEW', 'used_and_new')],
+      ['deal', ctx => priceAt(ctx, 'PRICE_DEAL', 'deal')],
+      ['buy_box', ctx => priceAt(ctx, 'PRODUCT_PRICE', 'buy_box')],
+      ['range', ctx => {
+        const range = ctx.find('PRICE_RANGE');
+        const ends = range ? [...range.querySelectorAll('.a-offscreen')].map(el => ctx.price(el)).filter(Boolean) : [];
+        if (ends.length < 2) return null;
+        const [min, max] = [ends[0], ends[ends.length - 1]];
+        return { price: `${min} – ${max}`, source: 'range', range: { min, max } };
+      }],
+      ['subscribe_save', ctx => priceAt(ctx, 'PRICE_SUBSCRIBE_SAVE', 'subscribe_save')],
+      ['kindle', ctx => priceAt(ctx, 'PRICE_KINDLE', 'kindle')]
+    ];
+  }
+
+  /**
+   * Adds or replaces a strategy
+   * @param {string} id - Referenced from category orders
+   * @param {Function} extract - (ctx) => { price, source } | null
+   */
+  register(id, extract) {
+    this.strategies.set(id, extract);
+  }
+
+  // User orders replace the default order of the categories they name
+  setUserOrders(orders) {
+    this.userOrders = orders && typeof orders === 'object' ? orders : {};
+  }
+
+  orderFor(category) {
+    const order = this.userOrders[category] || this.defaultOrders[category] || this.defaultOrders.default || [];
+    return order.filter(id => this.strategies.has(id));
+  }
+
+  detectCategory(root = document) {
+    const hints = [
+      root.querySelector('#nav-subnav')?.getAttribute('data-category') || '',
+      (this._find('CATEGORY_BREADCRUMB', root)?.textContent || '').trim()
+    ].filter(Boolean);
+
+    for (const category of this.categories) {
+      if (hints.some(hint => category.pattern.test(hint))) return category.id;
+    }
+    // Format swatches only appear on book pages
+    return this._find('PRICE_PAPERBACK', root) || this._find('PRICE_HARDCOVER', root) ? 'books' : 'default';
+  }
+
+  /**
+   * Runs the category's strategies in order and returns the first price found
+   * @param {Document} root - The live page or a fetched, parsed one
+   * @param {PriceParser} [priceParser] - Cuts the price out of surrounding text
+   * @returns {{price: string, source: string, strategy: string, category: string, range: ?{min: string, max: string}}}
+   *   range is set for "from – to" prices, which have no single amount
+   */
+  extract(root = document, priceParser = null) {
+    const category = this.detectCategory(root);
+    const ctx = {
+      root,
+      find: key => this._find(key, root),
+      price: element => this._priceText(element, priceParser)
+    };
+
+    for (const id of this.orderFor(category)) {
+      try {
+        const result = this.strategies.get(id)(ctx);
+        if (result?.price) {
+          return { price: result.price, source: result.source || id, strategy: id, category, range: result.range || null };
+        }
+      } catch (e) {
+        // A broken strategy must not hide the ones after it
+      }
+    }
+    return { price: '', source: '', strategy: '', category, range: null };
+  }
+
+  _find(key, root) {
+    const selectors = this.selectors[key] || [];
+    for (const selector of typeof selectors === 'string' ? [selectors] : selectors) {
+      try {
+        const element = root.querySelector(selector);
+        if (element) return element;
+      } catch (e) {
+        // Skip selectors the engine does not support
+      }
+    }
+    return null;
+  }
+
+  // Amazon renders prices twice; the screen-reader copy is the complete one
+  _priceText(element, priceParser) {
+    if (!element) return '';
+    const offscreen = element.matches('.a-offscreen') ? element : element.querySelector('.a-offscreen');
+    const text = ((offscreen || element).textContent || '').trim();
+    if (!text || text === '—') return '';
+    if (!priceParser) return text;
+    return priceParser.parse(text)?.raw || '';
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { PriceStrategyPipeline };
+}
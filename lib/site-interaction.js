@@ -370,10 +370,22 @@ class ConfirmationDetector {
     this.checkInterval = options.checkInterval || 100;
   }
 
+  snapshot(container = document) {
+    const baseline = new Map();
+    for (const pattern of this.patterns) {
+      if (!pattern || !pattern.selector) continue;
+      for (const el of container.querySelectorAll(pattern.selector)) {
+        baseline.set(el, this._state(el));
+      }
+    }
+    return baseline;
+  }
+
   async detect(options = {}) {
     const timeout = options.timeout || this.timeout;
     const patterns = options.patterns || this.patterns;
     const container = options.container || document;
+    const baseline = options.baseline || null;
     
     const start = Date.now();
     
@@ -394,8 +406,11 @@ class ConfirmationDetector {
       
       const check = () => {
         for (const pattern of patterns) {
-          if (this._checkPattern(pattern, container)) {
-            return done({ success: true, pattern });
+          const match = this._checkPattern(pattern, container, baseline);
+          if (match) {
+            const element = match instanceof Element ? match : null;
+            const text = element ? (element.textContent || '').trim().replace(/\s+/g, ' ') : '';
+            return done({ success: true, pattern, element, text });
           }
         }
         
@@ -420,7 +435,7 @@ class ConfirmationDetector {
     });
   }
 
-  _checkPattern(pattern, container) {
+  _checkPattern(pattern, container, baseline = null) {
     if (typeof pattern === 'string') {
       const element = container.querySelector(pattern);
       return !!element;
@@ -439,10 +454,12 @@ class ConfirmationDetector {
       const elements = container.querySelectorAll(pattern.selector);
       for (const el of elements) {
         const text = el.textContent || '';
+        if (baseline && baseline.has(el) && baseline.get(el) === this._state(el)) continue;
+        if (pattern.visibleOnly && !this._isVisible(el)) continue;
         if (pattern.text instanceof RegExp) {
-          if (pattern.text.test(text)) return true;
+          if (pattern.text.test(text)) return el;
         } else if (text.includes(pattern.text)) {
-          return true;
+          return el;
         }
       }
     }
@@ -450,6 +467,15 @@ class ConfirmationDetector {
     return false;
   }
 
+  // Text and visibility, so a hidden holder that gets shown counts as a change
+  _state(el) {
+    return `${this._isVisible(el)}|${el.textContent || ''}`;
+  }
+
+  _isVisible(el) {
+    return !el.closest('.a-hidden, [aria-hidden="true"]') && el.getClientRects().length > 0;
+  }
+
   addPattern(pattern) {
     this.patterns.push(pattern);
   }
@@ -18,13 +18,99 @@ const CONFIG = {
   STATE: {
     PRESERVE_KEYS: ['searchTerm', 'currentTab']
   },
+  LIST_PRIVACY_OPTIONS: ['Private', 'Public', 'Shared'],
+  // Messages that change the shown lists, so they need the tab's own store shown
+  SCOPED_MESSAGE_TYPES: ['CREATE_LIST', 'CREATE_LIST_AND_ADD', 'ADD_TO_LISTS', 'REMOVE_FROM_LIST', 'MOVE_TO_LIST', 'UPDATE_LIST_SETTINGS', 'DELETE_LIST'],
+  // Mirrors PRODUCT_DETECTION in config/extension-config.js
+  PRODUCT_DETECTION: {
+    ASIN_PATTERN: /(?:\/dp\/|\/gp\/product\/|\/gp\/aw\/d\/)([A-Z0-9]{10})/i,
+    // Product ASINs ("B0…") and ISBN-10s, which books use as their ASIN
+    BARE_ASIN_PATTERN: /^(?:B0[A-Z0-9]{8}|\d{9}[\dX])$/i
+  },
+  IMPORT: {
+    MAX_ITEMS: 500,
+    // Each item opens a product tab, so items are spaced out to stay gentle on Amazon
+    DELAY_BETWEEN_ITEMS_MS: 3000,
+    RETRY: { MAX_ATTEMPTS: 3, BASE_DELAY_MS: 2000 },
+    NEW_LIST_VALUE: '__new__'
+  },
+  EXPORT: {
+    // Safety stop for the "show more" chain of very long lists
+    MAX_PAGES: 50
+  },
+  // Mirrors MARKETPLACES in config/extension-config.js
+  MARKETPLACES: {
+    'com': { country: 'US', name: 'United States', currency: 'USD', locale: 'en-US', decimalSeparator: '.' },
+    'ca': { country: 'CA', name: 'Canada', currency: 'CAD', locale: 'en-CA', decimalSeparator: '.' },
+    'com.mx': { country: 'MX', name: 'Mexico', currency: 'MXN', locale: 'es-MX', decimalSeparator: '.' },
+    'com.br': { country: 'BR', name: 'Brazil', currency: 'BRL', locale: 'pt-BR', decimalSeparator: ',' },
+    'co.uk': { country: 'GB', name: 'United Kingdom', currency: 'GBP', locale: 'en-GB', decimalSeparator: '.' },
+    'ie': { country: 'IE', name: 'Ireland', currency: 'EUR', locale: 'en-IE', decimalSeparator: '.' },
+    'de': { country: 'DE', name: 'Germany', currency: 'EUR', locale: 'de-DE', decimalSeparator: ',' },
+    'fr': { country: 'FR', name: 'France', currency: 'EUR', locale: 'fr-FR', decimalSeparator: ',' },
+    'it': { country: 'IT', name: 'Italy', currency: 'EUR', locale: 'it-IT', decimalSeparator: ',' },
+    'es': { country: 'ES', name: 'Spain', currency: 'EUR', locale: 'es-ES', decimalSeparator: ',' },
+    'nl': { country: 'NL', name: 'Netherlands', currency: 'EUR', locale: 'nl-NL', decimalSeparator: ',' },
+    'com.be': { country: 'BE', name: 'Belgium', currency: 'EUR', locale: 'fr-BE', decimalSeparator: ',' },
+    'se': { country: 'SE', name: 'Sweden', currency: 'SEK', locale: 'sv-SE', decimalSeparator: ',' },
+    'pl': { country: 'PL', name: 'Poland', currency: 'PLN', locale: 'pl-PL', decimalSeparator: ',' },
+    'com.tr': { country: 'TR', name: 'Türkiye', currency: 'TRY', locale: 'tr-TR', decimalSeparator: ',' },
+    'ae': { country: 'AE', name: 'United Arab Emirates', currency: 'AED', locale: 'en-AE', decimalSeparator: '.' },
+    'sa': { country: 'SA', name: 'Saudi Arabia', currency: 'SAR', locale: 'ar-SA', decimalSeparator: '.' },
+    'eg': { country: 'EG', name: 'Egypt', currency: 'EGP', locale: 'ar-EG', decimalSeparator: '.' },
+    'co.za': { country: 'ZA', name: 'South Africa', currency: 'ZAR', locale: 'en-ZA', decimalSeparator: '.' },
+    'in': { country: 'IN', name: 'India', currency: 'INR', locale: 'en-IN', decimalSeparator: '.' },
+    'co.jp': { country: 'JP', name: 'Japan', currency: 'JPY', locale: 'ja-JP', decimalSeparator: '.' },
+    'sg': { country: 'SG', name: 'Singapore', currency: 'SGD', locale: 'en-SG', decimalSeparator: '.' },
+    'com.au': { country: 'AU', name: 'Australia', currency: 'AUD', locale: 'en-AU', decimalSeparator: '.' }
+  },
+  // Mirrors PRICE_STRATEGIES in config/extension-config.js
+  PRICE_STRATEGIES: {
+    STORAGE_KEY: 'priceStrategyOrder',
+    STRATEGIES: [
+      { id: 'book_formats', label: 'Book formats (paperback, hardcover, used)' },
+      { id: 'deal', label: 'Deal price' },
+      { id: 'buy_box', label: 'Buy box price' },
+      { id: 'range', label: 'Price range' },
+      { id: 'subscribe_save', label: 'Subscribe & Save' },
+      { id: 'kindle', label: 'Kindle price' }
+    ],
+    CATEGORIES: [
+      { id: 'default', label: 'Other products' },
+      { id: 'books', label: 'Books' },
+      { id: 'kindle', label: 'Kindle books' },
+      { id: 'electronics', label: 'Electronics' },
+      { id: 'grocery', label: 'Grocery' },
+      { id: 'home', label: 'Home & kitchen' }
+    ],
+    DEFAULT_ORDERS: {
+      books: ['book_formats', 'buy_box', 'kindle'],
+      kindle: ['kindle', 'buy_box', 'book_formats'],
+      grocery: ['deal', 'buy_box', 'subscribe_save', 'range'],
+      default: ['deal', 'buy_box', 'range', 'subscribe_save', 'kindle', 'book_formats']
+    }
+  },
+  BACKUP: {
+    FORMAT: 'amazon-list-sidebar-backup',
+    // Bump together with a new migration in createBackupMigrations()
+    VERSION: 2,
+    MAX_FILE_BYTES: 5 * 1024 * 1024
+  },
   STORAGE: {
     KEYS: {
       LISTS: 'storedLists',
       RECENT_LISTS: 'recentLists',
       PERSIST_DROPDOWN: 'persistDropdownSearch',
-      LAST_UPDATED: 'lastUpdated'
+      LAST_UPDATED: 'lastUpdated',
+      LAST_SCOPE: 'lastListScope'
     }
+  },
+  // Lists and recent lists are cached per "<marketplace>/<account>" scope
+  SCOPES: {
+    // Holds whatever was cached before scopes existed
+    LEGACY_ID: 'legacy',
+    // Signed-in account ids are this plus a hash of the greeting name
+    NAME_ACCOUNT_PREFIX: 'name-'
   }
 };
 
@@ -100,9 +186,152 @@ class QuickAccessManager {
     return true;
   }
 
+  async remove(itemId) {
+    const initialLength = this.items.length;
+    this.items = this.items.filter(id => id !== itemId);
+    
+    if (this.items.length < initialLength) {
+      await this.storage.set(this.storageKey, this.items);
+      return true;
+    }
+    return false;
+  }
+
   getItems() {
     return [...this.items];
   }
+
+  // Recent lists are kept per store and account
+  async useScope(scopeId) {
+    this.storageKey = ListScopeCache.recentKey(scopeId);
+    this.items = [];
+    return this.load();
+  }
+}
+
+// ListScopeCache class - cached lists per store and signed-in account, so
+// amazon.de never shows amazon.com's lists and accounts don't mix
+class ListScopeCache {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  static listsKey(scopeId) {
+    return `${CONFIG.STORAGE.KEYS.LISTS}:${scopeId}`;
+  }
+
+  static recentKey(scopeId) {
+    return `${CONFIG.QUICK_ACCESS.STORAGE_KEY}:${scopeId}`;
+  }
+
+  static label(scope) {
+    if (!scope) return '';
+    if (scope.id === CONFIG.SCOPES.LEGACY_ID) return 'Lists cached before stores were separated';
+    if (scope.accountId === 'guest') return `${scope.marketplace} · signed out`;
+    // Accounts are told apart only by the name in Amazon's greeting
+    return `${scope.marketplace} · ${scope.accountName || 'account'} (by greeting name)`;
+  }
+
+  async get(scopeId) {
+    const entry = await this.storage.get(ListScopeCache.listsKey(scopeId));
+    return entry && Array.isArray(entry.lists) ? entry : null;
+  }
+
+  // Stored copies keep only the name's initial, so synced data doesn't carry it
+  static storedScope(scope) {
+    return scope.accountName ? { ...scope, accountName: `${[...scope.accountName][0]}.` } : scope;
+  }
+
+  // A copy left in sync would shadow a newer one that only fit in local
+  async save(scope, lists) {
+    const key = ListScopeCache.listsKey(scope.id);
+    const entry = { scope: ListScopeCache.storedScope(scope), lists, lastUpdated: Date.now() };
+    try {
+      await browser.storage.sync.set({ [key]: entry });
+      await browser.storage.local.remove(key).catch(() => {});
+    } catch (_) {
+      await browser.storage.local.set({ [key]: entry });
+      await browser.storage.sync.remove(key).catch(() => {});
+    }
+  }
+
+  // Every cached scope, most recently updated first
+  async list() {
+    const [sync, local] = await Promise.all([
+      browser.storage.sync.get(null).catch(() => ({})),
+      browser.storage.local.get(null).catch(() => ({}))
+    ]);
+    const prefix = ListScopeCache.listsKey('');
+    const entries = new Map();
+    
+    for (const data of [local, sync]) {
+      Object.entries(data || {}).forEach(([key, value]) => {
+        if (key.startsWith(prefix) && value?.scope?.id) entries.set(value.scope.id, value);
+      });
+    }
+    
+    return [...entries.values()]
+      .sort((a, b) => (b.lastUpdated || 0) - (a.lastUpdated || 0))
+      .map(entry => entry.scope);
+  }
+
+  // Moves the single global cache into the legacy scope. Works on a plain
+  // key/value object, so it serves live storage areas and backups alike.
+  static partitionLegacy(data) {
+    const { LISTS, RECENT_LISTS, LAST_UPDATED } = CONFIG.STORAGE.KEYS;
+    const legacyId = CONFIG.SCOPES.LEGACY_ID;
+    const result = { ...data };
+    
+    if (Array.isArray(data[LISTS])) {
+      result[ListScopeCache.listsKey(legacyId)] = {
+        scope: { id: legacyId, marketplace: '', accountId: '', accountName: '' },
+        lists: data[LISTS],
+        lastUpdated: typeof data[LAST_UPDATED] === 'number' ? data[LAST_UPDATED] : 0
+      };
+    }
+    if (Array.isArray(data[RECENT_LISTS])) {
+      result[ListScopeCache.recentKey(legacyId)] = data[RECENT_LISTS];
+    }
+    
+    delete result[LISTS];
+    delete result[RECENT_LISTS];
+    delete result[LAST_UPDATED];
+    return result;
+  }
+
+  // Caches from before account ids were hashed are keyed by the account name;
+  // they are dropped and refill from the next page the account opens
+  async dropNameKeyedScopes() {
+    const isNameKeyed = (scopeId) => {
+      if (!scopeId.includes('/')) return false;
+      const accountId = scopeId.slice(scopeId.indexOf('/') + 1);
+      return accountId !== 'guest' && !accountId.startsWith(CONFIG.SCOPES.NAME_ACCOUNT_PREFIX);
+    };
+    const prefixes = [ListScopeCache.listsKey(''), ListScopeCache.recentKey('')];
+    
+    for (const area of [browser.storage.local, browser.storage.sync]) {
+      const data = await area.get(null);
+      const stale = Object.keys(data || {}).filter(key => {
+        const prefix = prefixes.find(p => key.startsWith(p));
+        return prefix && isNameKeyed(key.slice(prefix.length));
+      });
+      if (stale.length) await area.remove(stale);
+    }
+  }
+
+  // Local first, so the sync copy wins when both areas hold one
+  async migrateLegacy() {
+    const { LISTS, RECENT_LISTS, LAST_UPDATED } = CONFIG.STORAGE.KEYS;
+    const keys = [LISTS, RECENT_LISTS, LAST_UPDATED];
+    
+    for (const area of [browser.storage.local, browser.storage.sync]) {
+      const data = await area.get(keys);
+      if (!keys.some(key => key in data)) continue;
+      
+      await area.set(ListScopeCache.partitionLegacy(data));
+      await area.remove(keys);
+    }
+  }
 }
 
 // UserFeedback class
@@ -173,14 +402,506 @@ class CacheManager {
   }
 }
 
+// MarketplaceRegistry class (simplified inline version)
+class MarketplaceRegistry {
+  constructor(marketplaces = {}) {
+    this.marketplaces = marketplaces;
+  }
+
+  get(key) {
+    const suffix = String(key || '').toLowerCase().replace(/^amazon\./, '');
+    const entry = this.marketplaces[suffix];
+    if (!entry) return null;
+    return { ...entry, suffix, domain: `amazon.${suffix}` };
+  }
+
+  // Only the store's own domain and its subdomains count
+  forHostname(hostname) {
+    const host = String(hostname || '').toLowerCase().replace(/\.$/, '');
+    const match = host.match(/(?:^|\.)amazon\.([a-z.]+)$/);
+    return match ? this.get(match[1]) : null;
+  }
+
+  forUrl(url) {
+    try {
+      const parsed = new URL(url);
+      return parsed.protocol === 'https:' ? this.forHostname(parsed.hostname) : null;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  isMarketplaceUrl(url) {
+    return this.forUrl(url) !== null;
+  }
+
+  origin(key) {
+    const marketplace = this.get(key);
+    return marketplace ? `https://www.${marketplace.domain}` : null;
+  }
+}
+
+// PermissionManager class (simplified inline version)
+class PermissionManager {
+  async hasPermission(permission) {
+    try {
+      return await browser.permissions.contains({ permissions: [permission] });
+    } catch (e) {
+      return false;
+    }
+  }
+
+  // Must be the first await in a click handler, or Firefox rejects the request
+  async requestPermission(permission) {
+    try {
+      return await browser.permissions.request({ permissions: [permission] });
+    } catch (e) {
+      return false;
+    }
+  }
+}
+
+// RetryManager class (simplified inline version)
+class RetryManager {
+  constructor(options = {}) {
+    this.maxAttempts = options.maxAttempts || 3;
+    this.baseDelay = options.baseDelay || 1000;
+  }
+
+  async retry(operation, options = {}) {
+    const maxAttempts = options.maxAttempts || this.maxAttempts;
+    const shouldRetry = options.shouldRetry || (() => true);
+    let lastError;
+    
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      try {
+        return await operation(attempt);
+      } catch (error) {
+        lastError = error;
+        if (attempt === maxAttempts || !shouldRetry(error, attempt)) throw error;
+        await new Promise(r => setTimeout(r, options.baseDelay || this.baseDelay));
+      }
+    }
+    throw lastError;
+  }
+}
+
+// ListExporter class - turns a list and its items into CSV, JSON or Markdown
+class ListExporter {
+  static get FIELDS() {
+    return ['title', 'asin', 'url', 'price', 'dateAdded', 'privacy'];
+  }
+
+  rows(list, items) {
+    return items.map(item => ({
+      title: item.title || '',
+      asin: item.asin || '',
+      url: item.url || '',
+      price: item.price || '',
+      dateAdded: item.dateAdded || '',
+      privacy: list.privacy || ''
+    }));
+  }
+
+  format(kind, list, items) {
+    switch (kind) {
+      case 'csv': return this.toCSV(list, items);
+      case 'json': return this.toJSON(list, items);
+      case 'md': return this.toMarkdown(list, items);
+      default: throw new Error(`Unknown export format: ${kind}`);
+    }
+  }
+
+  mimeType(kind) {
+    return { csv: 'text/csv', json: 'application/json', md: 'text/markdown' }[kind] || 'text/plain';
+  }
+
+  // Cells starting with = + - @ would run as formulas in a spreadsheet, so
+  // they get a leading apostrophe before quoting
+  toCSV(list, items) {
+    const escape = (raw) => {
+      const value = /^[=+\-@\t\r]/.test(raw) ? `'${raw}` : raw;
+      return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+    };
+    const lines = [ListExporter.FIELDS.join(',')];
+    this.rows(list, items).forEach(row => {
+      lines.push(ListExporter.FIELDS.map(field => escape(String(row[field]))).join(','));
+    });
+    return lines.join('\r\n') + '\r\n';
+  }
+
+  toJSON(list, items) {
+    return JSON.stringify({
+      list: { id: list.id, name: list.name, privacy: list.privacy || '' },
+      exportedAt: new Date().toISOString(),
+      items: this.rows(list, items)
+    }, null, 2);
+  }
+
+  toMarkdown(list, items) {
+    const cell = (value) => String(value).replace(/\|/g, '\\|').replace(/\s+/g, ' ');
+    const lines = [
+      `# ${list.name}`,
+      '',
+      `Privacy: ${list.privacy || 'unknown'} · ${items.length} items`,
+      '',
+      '| Title | ASIN | Price | Date added |',
+      '| --- | --- | --- | --- |'
+    ];
+    this.rows(list, items).forEach(row => {
+      const title = row.url ? `[${cell(row.title || row.asin)}](${row.url})` : cell(row.title);
+      lines.push(`| ${title} | ${cell(row.asin)} | ${cell(row.price)} | ${cell(row.dateAdded)} |`);
+    });
+    return lines.join('\n') + '\n';
+  }
+
+  fileName(list, kind) {
+    const base = (list.name || list.id).replace(/[\\/:*?"<>|]+/g, '_').trim() || list.id;
+    return `${base}.${kind}`;
+  }
+}
+
+// CsvReader class - splits delimited text into rows of cells, honouring
+// quoted fields with doubled quotes and line breaks inside them
+class CsvReader {
+  static get DELIMITERS() {
+    return [',', ';', '\t'];
+  }
+
+  // Picks whichever delimiter appears most often outside quotes on the first line
+  detectDelimiter(text) {
+    const counts = new Map(CsvReader.DELIMITERS.map(delimiter => [delimiter, 0]));
+    let quoted = false;
+    for (const char of text) {
+      if (char === '"') quoted = !quoted;
+      else if (!quoted && (char === '\n' || char === '\r')) break;
+      else if (!quoted && counts.has(char)) counts.set(char, counts.get(char) + 1);
+    }
+    let best = ',';
+    counts.forEach((count, delimiter) => {
+      if (count > counts.get(best)) best = delimiter;
+    });
+    return best;
+  }
+
+  /**
+   * @param {string} text
+   * @returns {Array<Array<string>>} Rows of trimmed cells, blank rows dropped
+   */
+  parse(text) {
+    const source = String(text || '').replace(/^\uFEFF/, '');
+    const delimiter = this.detectDelimiter(source);
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    
+    const endCell = () => {
+      row.push(cell.trim());
+      cell = '';
+    };
+    const endRow = () => {
+      endCell();
+      if (row.some(value => value !== '')) rows.push(row);
+      row = [];
+    };
+    
+    for (let i = 0; i < source.length; i++) {
+      const char = source[i];
+      if (quoted) {
+        if (char === '"' && source[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"' && !cell.trim()) {
+        cell = '';
+        quoted = true;
+      } else if (char === delimiter) {
+        endCell();
+      } else if (char === '\r' || char === '\n') {
+        if (char === '\r' && source[i + 1] === '\n') i++;
+        endRow();
+      } else {
+        cell += char;
+      }
+    }
+    endRow();
+    return rows;
+  }
+}
+
+// ZipArchive class - minimal ZIP writer with stored (uncompressed) entries,
+// which is all a handful of text exports needs
+class ZipArchive {
+  constructor() {
+    this.entries = [];
+    this.encoder = new TextEncoder();
+  }
+
+  addFile(name, text) {
+    const data = this.encoder.encode(text);
+    this.entries.push({ name: this.encoder.encode(name), data, crc: ZipArchive.crc32(data) });
+  }
+
+  toBlob(date = new Date()) {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+    const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    const parts = [];
+    const central = [];
+    let offset = 0;
+    
+    this.entries.forEach(entry => {
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true);
+      local.setUint16(4, 20, true);
+      local.setUint16(6, 0x0800, true); // UTF-8 names
+      local.setUint16(8, 0, true); // stored
+      local.setUint16(10, time, true);
+      local.setUint16(12, day, true);
+      local.setUint32(14, entry.crc, true);
+      local.setUint32(18, entry.data.length, true);
+      local.setUint32(22, entry.data.length, true);
+      local.setUint16(26, entry.name.length, true);
+      local.setUint16(28, 0, true);
+      parts.push(local, entry.name, entry.data);
+      
+      const header = new DataView(new ArrayBuffer(46));
+      header.setUint32(0, 0x02014b50, true);
+      header.setUint16(4, 20, true);
+      header.setUint16(6, 20, true);
+      header.setUint16(8, 0x0800, true);
+      header.setUint16(10, 0, true);
+      header.setUint16(12, time, true);
+      header.setUint16(14, day, true);
+      header.setUint32(16, entry.crc, true);
+      header.setUint32(20, entry.data.length, true);
+      header.setUint32(24, entry.data.length, true);
+      header.setUint16(28, entry.name.length, true);
+      header.setUint32(42, offset, true);
+      central.push(header, entry.name);
+      
+      offset += 30 + entry.name.length + entry.data.length;
+    });
+    
+    const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, this.entries.length, true);
+    end.setUint16(10, this.entries.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+    
+    return new Blob([...parts, ...central, end], { type: 'application/zip' });
+  }
+
+  static crc32(bytes) {
+    if (!ZipArchive.crcTable) {
+      ZipArchive.crcTable = new Uint32Array(256).map((_, n) => {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+        return c >>> 0;
+      });
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = ZipArchive.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+}
+
+// MigrationHelper class (simplified inline version)
+class MigrationHelper {
+  constructor(storage) {
+    this.storage = storage;
+    this.migrations = [];
+  }
+
+  addMigration(version, migration) {
+    this.migrations.push({ version, migration });
+    this.migrations.sort((a, b) => a.version - b.version);
+  }
+
+  async migrate() {
+    const currentVersion = await this.storage.get('_migration_version') || 0;
+    let newVersion = currentVersion;
+    
+    for (const { version, migration } of this.migrations) {
+      if (version > currentVersion) {
+        await migration(this.storage);
+        newVersion = version;
+      }
+    }
+    
+    if (newVersion > currentVersion) {
+      await this.storage.set('_migration_version', newVersion);
+    }
+    
+    return newVersion;
+  }
+}
+
+// BackupDocumentStorage class - lets MigrationHelper upgrade a parsed backup
+// file in memory, with the backup's own version as the migration version
+class BackupDocumentStorage {
+  constructor(backup) {
+    this.backup = backup;
+  }
+
+  async get(key) {
+    return key === '_migration_version' ? this.backup.version : this.backup[key];
+  }
+
+  async set(key, value) {
+    if (key === '_migration_version') {
+      this.backup.version = value;
+    } else {
+      this.backup[key] = value;
+    }
+  }
+}
+
+// BackupManager class - versioned export and restore of everything the
+// extension keeps in storage.sync and storage.local
+class BackupManager {
+  async create() {
+    const [sync, local] = await Promise.all([
+      browser.storage.sync.get(null),
+      browser.storage.local.get(null)
+    ]);
+    
+    return {
+      format: CONFIG.BACKUP.FORMAT,
+      version: CONFIG.BACKUP.VERSION,
+      createdAt: new Date().toISOString(),
+      extensionVersion: browser.runtime.getManifest().version,
+      sync: sync || {},
+      local: local || {}
+    };
+  }
+
+  // Throws with a message meant for the user when the file can't be restored
+  async parse(text) {
+    let backup;
+    try {
+      backup = JSON.parse(text);
+    } catch (_) {
+      throw new Error('This file is not valid JSON');
+    }
+    
+    if (!this.isPlainObject(backup) || backup.format !== CONFIG.BACKUP.FORMAT) {
+      throw new Error('This file is not an Amazon Lists backup');
+    }
+    if (!Number.isInteger(backup.version) || backup.version < 1) {
+      throw new Error('The backup has no valid version');
+    }
+    if (backup.version > CONFIG.BACKUP.VERSION) {
+      throw new Error('The backup was made by a newer version of the extension');
+    }
+    
+    const helper = new MigrationHelper(new BackupDocumentStorage(backup));
+    this.createBackupMigrations().forEach(({ version, migration }) => helper.addMigration(version, migration));
+    await helper.migrate();
+    
+    this.validate(backup);
+    return backup;
+  }
+
+  // Each entry upgrades a backup from the previous version to `version`
+  createBackupMigrations() {
+    return [
+      // 2: lists and recent lists are cached per store and account
+      {
+        version: 2,
+        migration: async (storage) => {
+          for (const area of ['sync', 'local']) {
+            const data = await storage.get(area);
+            if (this.isPlainObject(data)) {
+              await storage.set(area, ListScopeCache.partitionLegacy(data));
+            }
+          }
+        }
+      }
+    ];
+  }
+
+  validate(backup) {
+    for (const area of ['sync', 'local']) {
+      if (!this.isPlainObject(backup[area])) {
+        throw new Error(`The backup's ${area} data is missing or damaged`);
+      }
+    }
+    
+    const data = { ...backup.local, ...backup.sync };
+    const isLists = (value) => Array.isArray(value) &&
+      value.every(list => this.isPlainObject(list) && typeof list.id === 'string' && typeof list.name === 'string');
+    const isIds = (value) => Array.isArray(value) && value.every(id => typeof id === 'string');
+    const checks = {
+      [CONFIG.STORAGE.KEYS.PERSIST_DROPDOWN]: (value) => typeof value === 'boolean'
+    };
+    // Scoped keys are checked by prefix
+    const prefixChecks = {
+      [ListScopeCache.listsKey('')]: (value) => this.isPlainObject(value) &&
+        this.isPlainObject(value.scope) && typeof value.scope.id === 'string' && isLists(value.lists),
+      [ListScopeCache.recentKey('')]: isIds
+    };
+    
+    for (const [key, value] of Object.entries(data)) {
+      const prefix = Object.keys(prefixChecks).find(p => key.startsWith(p));
+      const isValid = prefix ? prefixChecks[prefix] : checks[key];
+      if (isValid && !isValid(value)) {
+        throw new Error(`The backup's "${key}" value is damaged`);
+      }
+    }
+  }
+
+  // Lists across every cached store and account
+  countLists(backup) {
+    const data = { ...backup.local, ...backup.sync };
+    const prefix = ListScopeCache.listsKey('');
+    return Object.entries(data)
+      .filter(([key]) => key.startsWith(prefix))
+      .reduce((total, [, entry]) => total + entry.lists.length, 0);
+  }
+
+  // Replaces current data; sync values that exceed its quota fall back to local
+  async restore(backup) {
+    await Promise.all([browser.storage.sync.clear(), browser.storage.local.clear()]);
+    await browser.storage.local.set(backup.local);
+    
+    for (const [key, value] of Object.entries(backup.sync)) {
+      await browser.storage.sync.set({ [key]: value }).catch(() => {
+        return browser.storage.local.set({ [key]: value });
+      });
+    }
+  }
+
+  isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+  }
+}
+
 // Main Sidebar Controller
 class SidebarController {
   constructor() {
     // Initialize modules
     this.storage = new HybridStorage();
     this.quickAccess = new QuickAccessManager(this.storage);
+    this.scopeCache = new ListScopeCache(this.storage);
     this.statePreserver = new StatePreserver();
     this.cacheManager = new CacheManager();
+    this.permissions = new PermissionManager();
+    this.marketplaces = new MarketplaceRegistry(CONFIG.MARKETPLACES);
+    this.exporter = new ListExporter();
+    this.backupManager = new BackupManager();
+    this.retryManager = new RetryManager({
+      maxAttempts: CONFIG.IMPORT.RETRY.MAX_ATTEMPTS,
+      baseDelay: CONFIG.IMPORT.RETRY.BASE_DELAY_MS
+    });
     
     // Get DOM elements
     this.elements = this.initElements();
@@ -192,8 +913,18 @@ class SidebarController {
     this.allLists = [];
     this.filteredLists = [];
     this.currentProduct = null;
+    this.membership = null;
     this.currentTab = 'all';
     this.persistDropdownSearch = true;
+    this.selectMode = false;
+    this.selectedListIds = new Set();
+    this.detail = null;
+    this.importJob = null;
+    // The store/account being shown, and the one the active tab reported last;
+    // pinned while the user looks at another store than the tab's
+    this.scope = null;
+    this.activeScope = null;
+    this.scopePinned = false;
     
     // Initialize
     this.initialize();
@@ -201,6 +932,9 @@ class SidebarController {
 
   initElements() {
     return {
+      scopeBar: document.getElementById('scope-bar'),
+      scopeSelect: document.getElementById('scope-select'),
+      scopeFollow: document.getElementById('scope-follow'),
       searchInput: document.getElementById('search-input'),
       clearSearch: document.getElementById('clear-search'),
       listsContainer: document.getElementById('lists-container'),
@@ -217,6 +951,15 @@ class SidebarController {
       productImage: document.getElementById('product-image'),
       productTitle: document.getElementById('product-title'),
       productPrice: document.getElementById('product-price'),
+      productVariant: document.getElementById('product-variant'),
+      productMeta: document.getElementById('product-meta'),
+      productBreadcrumb: document.getElementById('product-breadcrumb'),
+      priceAlertBtn: document.getElementById('price-alert-btn'),
+      priceAlertPanel: document.getElementById('price-alert-panel'),
+      priceHistory: document.getElementById('price-history'),
+      priceHistoryChart: document.getElementById('price-history-chart'),
+      priceHistoryLine: document.getElementById('price-history-line'),
+      priceHistoryStats: document.getElementById('price-history-stats'),
       tabAll: document.getElementById('tab-all'),
       tabRecent: document.getElementById('tab-recent'),
       allLists: document.getElementById('all-lists'),
@@ -224,17 +967,76 @@ class SidebarController {
       settingsBtn: document.getElementById('settings-btn'),
       settingsPanel: document.getElementById('settings-panel'),
       persistToggle: document.getElementById('persist-search-toggle'),
+      priceStrategyCategory: document.getElementById('price-strategy-category'),
+      priceStrategyOrder: document.getElementById('price-strategy-order'),
+      priceStrategyReset: document.getElementById('price-strategy-reset'),
       createListBtn: document.getElementById('create-list-btn'),
       createListForm: document.getElementById('create-list-form'),
       newListName: document.getElementById('new-list-name'),
       createListSubmit: document.getElementById('create-list-submit'),
       createListCancel: document.getElementById('create-list-cancel'),
-      duplicateWarning: document.getElementById('duplicate-warning')
+      duplicateWarning: document.getElementById('duplicate-warning'),
+      createListError: document.getElementById('create-list-error'),
+      newListPrivacy: document.getElementById('new-list-privacy'),
+      newListType: document.getElementById('new-list-type'),
+      newListDescription: document.getElementById('new-list-description'),
+      createAndAddSubmit: document.getElementById('create-and-add-submit'),
+      addByLinkBtn: document.getElementById('add-by-link-btn'),
+      addByLinkForm: document.getElementById('add-by-link-form'),
+      addByLinkInput: document.getElementById('add-by-link-input'),
+      addByLinkList: document.getElementById('add-by-link-list'),
+      addByLinkError: document.getElementById('add-by-link-error'),
+      addByLinkSubmit: document.getElementById('add-by-link-submit'),
+      addByLinkCancel: document.getElementById('add-by-link-cancel'),
+      createAddNotice: document.getElementById('create-add-notice'),
+      operationsPanel: document.getElementById('operations-panel'),
+      operationsList: document.getElementById('operations-list'),
+      pendingJobs: document.getElementById('pending-jobs'),
+      pendingJobsList: document.getElementById('pending-jobs-list'),
+      selectModeBtn: document.getElementById('select-mode-btn'),
+      listDetailExportFormat: document.getElementById('list-detail-export-format'),
+      listDetailExport: document.getElementById('list-detail-export'),
+      exportAllFormat: document.getElementById('export-all-format'),
+      exportAllBtn: document.getElementById('export-all-btn'),
+      backupBtn: document.getElementById('backup-btn'),
+      restoreBtn: document.getElementById('restore-btn'),
+      restoreFile: document.getElementById('restore-file'),
+      restoreConfirm: document.getElementById('restore-confirm'),
+      importBtn: document.getElementById('import-btn'),
+      importView: document.getElementById('import-view'),
+      importBack: document.getElementById('import-back'),
+      importFile: document.getElementById('import-file'),
+      importSummary: document.getElementById('import-summary'),
+      importTarget: document.getElementById('import-target'),
+      importNewListName: document.getElementById('import-new-list-name'),
+      importStart: document.getElementById('import-start'),
+      importPause: document.getElementById('import-pause'),
+      importStop: document.getElementById('import-stop'),
+      importProgress: document.getElementById('import-progress'),
+      importProgressBar: document.getElementById('import-progress-bar'),
+      importProgressText: document.getElementById('import-progress-text'),
+      importReport: document.getElementById('import-report'),
+      importReportSummary: document.getElementById('import-report-summary'),
+      importReportList: document.getElementById('import-report-list'),
+      selectionBar: document.getElementById('selection-bar'),
+      selectionCount: document.getElementById('selection-count'),
+      addSelectedBtn: document.getElementById('add-selected-btn'),
+      cancelSelectionBtn: document.getElementById('cancel-selection-btn'),
+      sidebarContainer: document.getElementById('sidebar-container'),
+      listDetail: document.getElementById('list-detail'),
+      listDetailBack: document.getElementById('list-detail-back'),
+      listDetailName: document.getElementById('list-detail-name'),
+      listDetailItems: document.getElementById('list-detail-items'),
+      listDetailEmpty: document.getElementById('list-detail-empty'),
+      listDetailLoading: document.getElementById('list-detail-loading'),
+      listDetailMore: document.getElementById('list-detail-more')
     };
   }
 
   async initialize() {
-    await this.quickAccess.load();
+    await this.scopeCache.migrateLegacy().catch(e => console.error('Error migrating list cache:', e));
+    await this.scopeCache.dropNameKeyedScopes().catch(e => console.error('Error dropping old account caches:', e));
+    await this.restoreLastScope();
     await this.loadSettings();
     this.setupEventListeners();
     this.setupMessageListeners();
@@ -253,36 +1055,18 @@ class SidebarController {
     
     // Request fresh lists from content
     this.requestListsFromContent();
+    this.loadOperations();
+    this.loadPendingJobs();
   }
 
   async loadCachedLists() {
     try {
-      // Try sync first
-      let stored = await browser.storage.sync.get([
-        CONFIG.STORAGE.KEYS.LISTS,
-        CONFIG.STORAGE.KEYS.LAST_UPDATED
-      ]);
+      const entry = await this.scopeCache.get(this.scope.id);
       
-      // Fallback to local if sync is empty
-      if (!stored.storedLists || stored.storedLists.length === 0) {
-        stored = await browser.storage.local.get([
-          CONFIG.STORAGE.KEYS.LISTS,
-          CONFIG.STORAGE.KEYS.LAST_UPDATED
-        ]);
+      if (entry && entry.lists.length > 0) {
+        const ageStr = this.cacheManager.getAgeString(entry.lastUpdated || 0);
         
-        // Migrate to sync if found in local
-        if (stored.storedLists && stored.storedLists.length > 0) {
-          browser.storage.sync.set({
-            [CONFIG.STORAGE.KEYS.LISTS]: stored.storedLists,
-            [CONFIG.STORAGE.KEYS.LAST_UPDATED]: stored.lastUpdated
-          }).catch(() => {});
-        }
-      }
-      
-      if (stored.storedLists && stored.storedLists.length > 0) {
-        const ageStr = this.cacheManager.getAgeString(stored.lastUpdated || 0);
-        
-        this.allLists = stored.storedLists;
+        this.allLists = entry.lists;
         this.filteredLists = this.allLists;
         this.displayLists(this.filteredLists);
         
@@ -297,46 +1081,149 @@ class SidebarController {
     return false;
   }
 
-  async loadFromBackground() {
-    try {
-      const response = await browser.runtime.sendMessage({ 
-        type: 'GET_STORED_LISTS' 
-      });
-      
-      if (response) {
-        if (response.lists && response.lists.length > 0) {
-          this.allLists = response.lists;
-          this.filteredLists = this.allLists;
-          this.displayLists(this.filteredLists);
-          
-          // Store in cache
-          browser.storage.sync.set({
-            [CONFIG.STORAGE.KEYS.LISTS]: this.allLists,
-            [CONFIG.STORAGE.KEYS.LAST_UPDATED]: Date.now()
-          }).catch(() => {
-            browser.storage.local.set({
-              [CONFIG.STORAGE.KEYS.LISTS]: this.allLists,
-              [CONFIG.STORAGE.KEYS.LAST_UPDATED]: Date.now()
-            });
-          });
-        }
-        
-        if (response.productInfo) {
-          this.updateProductDisplay(response.productInfo);
-        }
-      }
-    } catch (error) {
-      console.error('Error loading from background:', error);
-    }
+  // The store shown when the sidebar last closed; the legacy cache before that
+  async restoreLastScope() {
+    const key = CONFIG.STORAGE.KEYS.LAST_SCOPE;
+    const stored = await browser.storage.local.get(key).catch(() => ({}));
+    const scope = stored?.[key]?.id ? stored[key] : { id: CONFIG.SCOPES.LEGACY_ID };
+    
+    this.scope = scope;
+    await this.quickAccess.useScope(scope.id);
+    this.renderScopeBar();
   }
 
-  async loadSettings() {
-    try {
-      const res = await browser.storage.sync.get(CONFIG.STORAGE.KEYS.PERSIST_DROPDOWN);
-      const persist = res?.persistDropdownSearch !== false;
-      this.persistDropdownSearch = persist;
-      if (this.elements.persistToggle) {
-        this.elements.persistToggle.checked = persist;
+  async setScope(scope) {
+    this.scope = scope;
+    await this.quickAccess.useScope(scope.id);
+    browser.storage.local.set({ [CONFIG.STORAGE.KEYS.LAST_SCOPE]: scope }).catch(() => {});
+  }
+
+  // Lists from the active tab always refresh their own store's cache, but
+  // only replace the view when the user hasn't picked another store
+  async receiveLists(lists, scope) {
+    if (!scope) {
+      this.allLists = lists;
+      return true;
+    }
+    
+    this.activeScope = scope;
+    await this.scopeCache.save(scope, lists).catch(error => {
+      console.error('Error saving list cache:', error);
+    });
+    
+    const shown = !this.scopePinned || this.scope?.id === scope.id;
+    if (shown) {
+      this.scopePinned = false;
+      if (this.scope?.id !== scope.id) {
+        await this.setScope(scope);
+        this.updateRecentListsDisplay();
+      }
+      this.allLists = lists;
+    }
+    
+    this.renderScopeBar();
+    return shown;
+  }
+
+  async switchScope(scopeId) {
+    if (!scopeId || scopeId === this.scope?.id) return;
+    
+    const entry = await this.scopeCache.get(scopeId);
+    if (!entry) {
+      this.renderScopeBar();
+      return;
+    }
+    
+    this.scopePinned = scopeId !== this.activeScope?.id;
+    await this.setScope(entry.scope);
+    this.allLists = entry.lists;
+    this.filterLists(this.statePreserver.restore('searchTerm', ''));
+    this.updateRecentListsDisplay();
+    this.renderScopeBar();
+    
+    if (this.scopePinned) {
+      const ageStr = this.cacheManager.getAgeString(entry.lastUpdated || 0);
+      this.feedback.show(`Showing lists for ${ListScopeCache.label(entry.scope)}, cached ${ageStr}`, 'info');
+    }
+  }
+
+  async renderScopeBar() {
+    const scopes = await this.scopeCache.list();
+    const select = this.elements.scopeSelect;
+    select.replaceChildren();
+    
+    scopes.forEach(scope => {
+      const option = document.createElement('option');
+      option.value = scope.id;
+      option.textContent = ListScopeCache.label(scope) +
+        (scope.id === this.activeScope?.id ? ' (this tab)' : '');
+      select.appendChild(option);
+    });
+    
+    select.value = this.scope?.id || '';
+    this.elements.scopeBar.classList.toggle('hidden', scopes.length === 0);
+    this.elements.scopeBar.classList.toggle('scope-pinned', this.scopePinned);
+    this.elements.scopeFollow.classList.toggle('hidden', !this.scopePinned || !this.activeScope);
+  }
+
+  // Lists of another store or account can't be changed from this tab
+  checkScopeIsActive() {
+    if (this.scopePinned) {
+      throw new Error('other_scope');
+    }
+  }
+
+  async loadFromBackground() {
+    try {
+      const response = await browser.runtime.sendMessage({ 
+        type: 'GET_STORED_LISTS' 
+      });
+      
+      if (response) {
+        if (response.membership) {
+          this.membership = response.membership;
+        }
+        
+        if (response.lists && response.lists.length > 0 &&
+            await this.receiveLists(response.lists, response.scope)) {
+          this.filteredLists = this.allLists;
+          this.displayLists(this.filteredLists);
+        }
+        
+        if (response.productInfo) {
+          this.updateProductDisplay(response.productInfo);
+        }
+      }
+    } catch (error) {
+      console.error('Error loading from background:', error);
+    }
+  }
+
+  // Caches the shown lists under the store and account they belong to
+  saveListsCache() {
+    if (!this.scope || this.scope.id === CONFIG.SCOPES.LEGACY_ID) {
+      return Promise.resolve();
+    }
+    return this.scopeCache.save(this.scope, this.allLists).catch(error => {
+      console.error('Error saving list cache:', error);
+    });
+  }
+
+  updateStoredList(listId, changes) {
+    this.allLists = this.allLists.map(list => list.id === listId ? { ...list, ...changes } : list);
+    this.saveListsCache();
+    this.filterLists(this.statePreserver.restore('searchTerm', ''));
+  }
+
+  async loadSettings() {
+    this.loadPriceStrategyOrders();
+    
+    try {
+      const res = await browser.storage.sync.get(CONFIG.STORAGE.KEYS.PERSIST_DROPDOWN);
+      const persist = res?.persistDropdownSearch !== false;
+      this.persistDropdownSearch = persist;
+      if (this.elements.persistToggle) {
+        this.elements.persistToggle.checked = persist;
       }
     } catch (_) {
       this.persistDropdownSearch = true;
@@ -347,6 +1234,10 @@ class SidebarController {
   }
 
   setupEventListeners() {
+    // Store and account switcher
+    this.elements.scopeSelect.addEventListener('change', (e) => this.switchScope(e.target.value));
+    this.elements.scopeFollow.addEventListener('click', () => this.switchScope(this.activeScope?.id));
+    
     // Search input
     this.elements.searchInput.addEventListener('input', (e) => {
       const searchTerm = e.target.value;
@@ -373,87 +1264,91 @@ class SidebarController {
     this.elements.tabAll.addEventListener('click', () => this.switchTab('all'));
     this.elements.tabRecent.addEventListener('click', () => this.switchTab('recent'));
 
-    // Create list button
-    this.elements.createListBtn.addEventListener('click', () => {
-      this.elements.createListBtn.classList.add('hidden');
-      this.elements.createListForm.classList.remove('hidden');
-      this.elements.newListName.focus();
+    // Multi-select mode
+    this.elements.selectModeBtn.addEventListener('click', () => this.setSelectMode(!this.selectMode));
+    this.elements.cancelSelectionBtn.addEventListener('click', () => this.setSelectMode(false));
+    this.elements.addSelectedBtn.addEventListener('click', () => this.addToSelectedLists());
+
+    // List detail view
+    this.elements.listDetailBack.addEventListener('click', () => this.hideListDetail());
+    this.elements.listDetailMore.addEventListener('click', () => this.loadListDetailPage());
+    this.elements.listDetailExport.addEventListener('click', () => {
+      if (this.detail) this.exportList(this.detail.list, this.elements.listDetailExportFormat.value);
     });
+    // Price strategy order per category
+    this.elements.priceStrategyCategory.addEventListener('change', () => this.renderPriceStrategyOrder());
+    this.elements.priceStrategyReset.addEventListener('click', () => this.resetPriceStrategyOrder());
+    this.elements.exportAllBtn.addEventListener('click', () => this.exportAllLists(this.elements.exportAllFormat.value));
+    this.elements.backupBtn.addEventListener('click', () => this.downloadBackup());
+    this.elements.restoreBtn.addEventListener('click', () => this.elements.restoreFile.click());
+    this.elements.restoreFile.addEventListener('change', () => this.readBackupFile());
 
-    // Create list submit
-    this.elements.createListSubmit.addEventListener('click', async () => {
-      const listName = this.elements.newListName.value.trim();
-      if (!listName) {
-        this.feedback.show('Please enter a list name', 'warning');
-        this.elements.newListName.classList.add('input-error');
-        setTimeout(() => {
-          this.elements.newListName.classList.remove('input-error');
-        }, 2000);
+    // Price alerts for the current product
+    this.elements.priceAlertBtn.addEventListener('click', async () => {
+      const panel = this.elements.priceAlertPanel;
+      if (!panel.classList.contains('hidden')) {
+        panel.classList.add('hidden');
         return;
       }
-
-      // Check for duplicate list name
-      const duplicateList = this.allLists.find(list => 
-        list.name.toLowerCase() === listName.toLowerCase()
-      );
-      
-      if (duplicateList) {
-        this.feedback.show(`A list named "${duplicateList.name}" already exists`, 'error');
-        this.elements.newListName.classList.add('input-error');
-        this.elements.createListForm.classList.add('form-error');
-        
-        // Remove error styling after 3 seconds
-        setTimeout(() => {
-          this.elements.newListName.classList.remove('input-error');
-          this.elements.createListForm.classList.remove('form-error');
-        }, 3000);
+      const product = await this.getActiveTabProduct();
+      if (!product) {
+        this.feedback.show('Please open an Amazon product page.', 'info');
         return;
       }
+      panel.classList.remove('hidden');
+      this.renderAlertPanel(panel, {
+        scope: 'item',
+        marketplace: product.marketplace,
+        asin: product.asin,
+        label: product.title,
+        // A range has no price to measure a drop from
+        currentPrice: product.priceSource === 'range' ? '' : product.price
+      });
+    });
 
-      // Disable form during creation
-      this.elements.createListSubmit.disabled = true;
-      this.elements.createListCancel.disabled = true;
-      this.elements.newListName.disabled = true;
-      
-      this.feedback.show('Creating list...', 'loading');
+    // Import view
+    this.elements.importBtn.addEventListener('click', () => this.showImportView());
+    this.elements.importBack.addEventListener('click', () => this.hideImportView());
+    this.elements.importFile.addEventListener('change', () => this.readImportFile());
+    this.elements.importTarget.addEventListener('change', () => {
+      const isNew = this.elements.importTarget.value === CONFIG.IMPORT.NEW_LIST_VALUE;
+      this.elements.importNewListName.classList.toggle('hidden', !isNew);
+    });
+    this.elements.importStart.addEventListener('click', () => this.startImport());
+    this.elements.importPause.addEventListener('click', () => this.toggleImportPause());
+    this.elements.importStop.addEventListener('click', () => this.stopImport());
 
-      try {
-        // Send message to content script to create the list
-        const tabs = await browser.tabs.query({ active: true, currentWindow: true });
-        const response = await browser.tabs.sendMessage(tabs[0].id, {
-          type: 'CREATE_LIST',
-          listName: listName
-        });
+    // Create list button
+    this.elements.createListBtn.addEventListener('click', () => {
+      this.elements.createListBtn.classList.add('hidden');
+      this.elements.createListForm.classList.remove('hidden');
+      this.elements.newListName.focus();
+    });
 
-        if (response && response.success) {
-          this.feedback.show(`List "${listName}" created successfully!`, 'success');
-          
-          // Reset form
-          this.elements.newListName.value = '';
-          this.elements.createListForm.classList.add('hidden');
-          this.elements.createListBtn.classList.remove('hidden');
-          
-          // Request updated lists
-          setTimeout(() => {
-            this.requestListsFromContent();
-          }, 500);
-        } else {
-          throw new Error(response?.error || 'Failed to create list');
-        }
-      } catch (error) {
-        console.error('Create list error:', error);
-        this.feedback.show('Failed to create list. Please try again.', 'error');
-      } finally {
-        // Re-enable form
-        this.elements.createListSubmit.disabled = false;
-        this.elements.createListCancel.disabled = false;
-        this.elements.newListName.disabled = false;
+    // Create list submit
+    this.elements.createListSubmit.addEventListener('click', () => this.submitCreateList(false));
+    this.elements.createAndAddSubmit.addEventListener('click', () => this.submitCreateList(true));
+
+    // Add by link/ASIN
+    this.elements.addByLinkBtn.addEventListener('click', () => {
+      this.fillAddByLinkLists();
+      this.elements.addByLinkBtn.classList.add('hidden');
+      this.elements.addByLinkForm.classList.remove('hidden');
+      this.elements.addByLinkInput.focus();
+    });
+    this.elements.addByLinkSubmit.addEventListener('click', () => this.addByLink());
+    this.elements.addByLinkCancel.addEventListener('click', () => this.closeAddByLinkForm());
+    this.elements.addByLinkInput.addEventListener('keypress', (e) => {
+      if (e.key === 'Enter') {
+        this.addByLink();
       }
     });
 
     // Create list cancel
     this.elements.createListCancel.addEventListener('click', () => {
+      this.elements.createListError.classList.add('hidden');
       this.elements.newListName.value = '';
+      this.resetCreateListOptions();
       this.elements.newListName.classList.remove('input-error', 'input-warning');
       this.elements.createListForm.classList.remove('form-error');
       this.elements.duplicateWarning.classList.add('hidden');
@@ -473,6 +1368,7 @@ class SidebarController {
       const listName = e.target.value.trim();
       
       // Remove any existing error states
+      this.elements.createListError.classList.add('hidden');
       this.elements.newListName.classList.remove('input-error', 'input-warning');
       this.elements.createListForm.classList.remove('form-error');
       this.elements.duplicateWarning.classList.add('hidden');
@@ -493,35 +1389,211 @@ class SidebarController {
     });
   }
 
+  async submitCreateList(addCurrentProduct = false) {
+    const listName = this.elements.newListName.value.trim();
+    if (!listName) {
+      this.feedback.show('Please enter a list name', 'warning');
+      this.elements.newListName.classList.add('input-error');
+      setTimeout(() => {
+        this.elements.newListName.classList.remove('input-error');
+      }, 2000);
+      return;
+    }
+
+    // Check for duplicate list name
+    const duplicateList = this.allLists.find(list => 
+      list.name.toLowerCase() === listName.toLowerCase()
+    );
+    
+    if (duplicateList) {
+      this.feedback.show(`A list named "${duplicateList.name}" already exists`, 'error');
+      this.elements.newListName.classList.add('input-error');
+      this.elements.createListForm.classList.add('form-error');
+      
+      // Remove error styling after 3 seconds
+      setTimeout(() => {
+        this.elements.newListName.classList.remove('input-error');
+        this.elements.createListForm.classList.remove('form-error');
+      }, 3000);
+      return;
+    }
+
+    if (addCurrentProduct && !this.currentProduct) {
+      this.feedback.show('Please open an Amazon product page.', 'info');
+      return;
+    }
+
+    // Disable form during creation
+    this.setCreateFormDisabled(true);
+    this.hideCreateAddNotice();
+    
+    this.feedback.show(addCurrentProduct ? 'Creating list and adding product...' : 'Creating list...', 'loading');
+
+    try {
+      // Send message to content script to create the list
+      const options = this.getCreateListOptions();
+      const response = await this.sendToActiveTab({
+        type: addCurrentProduct ? 'CREATE_LIST_AND_ADD' : 'CREATE_LIST',
+        listName: listName,
+        ...options
+      });
+
+      if (response && response.success) {
+        this.addCreatedList(response.listId, listName, options.privacy);
+        
+        if (addCurrentProduct) {
+          this.handleCreateAndAddResult(response, listName);
+        } else {
+          this.feedback.show(`List "${listName}" created successfully!`, 'success');
+        }
+        
+        // Reset form
+        this.elements.newListName.value = '';
+        this.resetCreateListOptions();
+        this.elements.createListForm.classList.add('hidden');
+        this.elements.createListBtn.classList.remove('hidden');
+        
+        // Request updated lists
+        setTimeout(() => {
+          this.requestListsFromContent();
+        }, 500);
+      } else if (response?.fromAmazon || response?.invalidOption) {
+        // Amazon rejected the list (name too long, list limit reached, ...)
+        // or the store does not offer one of the chosen options
+        this.showCreateListError(response.error);
+      } else {
+        throw new Error(response?.error || 'Failed to create list');
+      }
+    } catch (error) {
+      console.error('Create list error:', error);
+      this.showContentError(error, 'Failed to create list. Please try again.');
+    } finally {
+      // Re-enable form
+      this.setCreateFormDisabled(false);
+    }
+  }
+
+  // Optional fields are only sent when set, since not every store offers them
+  getCreateListOptions() {
+    const options = {};
+    // Only a changed privacy is sent; some create dialogs have no privacy control
+    const privacy = this.elements.newListPrivacy.selectedOptions[0];
+    if (privacy && !privacy.defaultSelected) options.privacy = privacy.value;
+    const listType = this.elements.newListType.value;
+    const description = this.elements.newListDescription.value.trim();
+    if (listType) options.listType = listType;
+    if (description) options.description = description;
+    return options;
+  }
+
+  resetCreateListOptions() {
+    this.elements.newListPrivacy.value = 'Private';
+    this.elements.newListType.value = '';
+    this.elements.newListDescription.value = '';
+  }
+
+  setCreateFormDisabled(disabled) {
+    this.elements.createListSubmit.disabled = disabled;
+    this.elements.newListPrivacy.disabled = disabled;
+    this.elements.newListType.disabled = disabled;
+    this.elements.newListDescription.disabled = disabled;
+    this.elements.createAndAddSubmit.disabled = disabled;
+    this.elements.createListCancel.disabled = disabled;
+    this.elements.newListName.disabled = disabled;
+  }
+
+  // The list exists at this point; only the add may have gone wrong
+  async handleCreateAndAddResult(response, listName) {
+    const added = response.added || { outcome: 'error', message: response.addError || 'Unknown add error' };
+    
+    if (added.outcome === 'added' || added.outcome === 'already_in_list') {
+      const variant = this.variantLabel(added.variant);
+      this.feedback.show(`✓ Created "${listName}" and added ${variant ? `the product (${variant})` : 'the product'}`, 'success');
+      await this.quickAccess.add(response.listId);
+      this.updateRecentListsDisplay();
+      this.setProductInList(response.listId, true);
+      return;
+    }
+    
+    const reason = added.outcome === 'unconfirmed'
+      ? 'Amazon did not confirm the add'
+      : (added.message || 'the add failed');
+    this.showCreateAddNotice(`List "${listName}" was created, but the product was not added: ${reason}.`, response.listId, listName);
+    this.feedback.show(`Created "${listName}", but the product was not added`, 'warning', 6000);
+  }
+
+  showCreateAddNotice(message, listId, listName) {
+    const notice = this.elements.createAddNotice;
+    notice.replaceChildren();
+    
+    const text = document.createElement('p');
+    text.className = 'panel-text';
+    text.textContent = message;
+    
+    const actions = document.createElement('div');
+    actions.className = 'create-actions';
+    actions.appendChild(this.createPanelButton('Retry add', 'btn-primary', async () => {
+      this.hideCreateAddNotice();
+      await this.addToList(listId, listName);
+    }));
+    actions.appendChild(this.createPanelButton('Dismiss', 'btn-secondary', () => this.hideCreateAddNotice()));
+    
+    notice.appendChild(text);
+    notice.appendChild(actions);
+    notice.classList.remove('hidden');
+  }
+
+  hideCreateAddNotice() {
+    this.elements.createAddNotice.classList.add('hidden');
+    this.elements.createAddNotice.replaceChildren();
+  }
+
+  showCreateListError(message) {
+    this.elements.createListError.querySelector('.error-text').textContent = message;
+    this.elements.createListError.classList.remove('hidden');
+    this.elements.newListName.classList.add('input-error');
+    this.feedback.show('Amazon could not create the list', 'error');
+  }
+
+  // Show a newly created list right away instead of waiting for the next scan
+  addCreatedList(listId, listName, privacy = '') {
+    if (!listId || this.allLists.some(list => list.id === listId)) return;
+    
+    this.allLists = [...this.allLists, { id: listId, name: listName, privacy }];
+    this.saveListsCache();
+    this.filterLists(this.statePreserver.restore('searchTerm', ''));
+  }
+
   setupMessageListeners() {
     browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      // Content scripts' own copies are skipped: the background relays them and
+      // drops the ones from tabs it opened in the background
+      if (sender.tab && (message.type === 'UPDATE_LISTS' || message.type === 'UPDATE_PRODUCT')) {
+        return false;
+      }
+      
       if (message.type === 'UPDATE_LISTS') {
         // Preserve current search filter
         const currentSearch = this.statePreserver.restore('searchTerm', '');
         
-        this.allLists = message.lists || [];
-        
-        // Store lists in cache
-        browser.storage.sync.set({
-          [CONFIG.STORAGE.KEYS.LISTS]: this.allLists,
-          [CONFIG.STORAGE.KEYS.LAST_UPDATED]: Date.now()
-        }).catch(err => {
-          browser.storage.local.set({
-            [CONFIG.STORAGE.KEYS.LISTS]: this.allLists,
-            [CONFIG.STORAGE.KEYS.LAST_UPDATED]: Date.now()
-          });
-        });
+        if (message.membership) {
+          this.membership = message.membership;
+        }
         
         if (message.productInfo) {
           this.updateProductDisplay(message.productInfo);
         }
         
-        if (currentSearch) {
-          this.filterLists(currentSearch);
-        } else {
-          this.filteredLists = this.allLists;
-          this.displayLists(this.filteredLists);
-        }
+        // Cached per store and account; shown unless another store is picked
+        this.receiveLists(message.lists || [], message.scope).then(shown => {
+          if (!shown) return;
+          if (currentSearch) {
+            this.filterLists(currentSearch);
+          } else {
+            this.filteredLists = this.allLists;
+            this.displayLists(this.filteredLists);
+          }
+        });
         
         sendResponse({ success: true });
       } else if (message.type === 'UPDATE_PRODUCT') {
@@ -529,6 +1601,13 @@ class SidebarController {
           this.updateProductDisplay(message.productInfo);
         }
         sendResponse({ success: true });
+      } else if (message.type === 'PENDING_JOBS_UPDATE') {
+        this.renderPendingJobs(message.jobs);
+        sendResponse({ success: true });
+      } else if (message.type === 'OPERATIONS_UPDATE' && !sender.tab) {
+        // Only the background relay knows which tab the queue belongs to
+        this.handleOperationsUpdate(message);
+        sendResponse({ success: true });
       }
       
       return true;
@@ -561,11 +1640,110 @@ class SidebarController {
     }
   }
 
+  async loadPriceStrategyOrders() {
+    const select = this.elements.priceStrategyCategory;
+    select.replaceChildren();
+    CONFIG.PRICE_STRATEGIES.CATEGORIES.forEach(category => {
+      const option = document.createElement('option');
+      option.value = category.id;
+      option.textContent = category.label;
+      select.appendChild(option);
+    });
+    
+    try {
+      const res = await browser.storage.sync.get(CONFIG.PRICE_STRATEGIES.STORAGE_KEY);
+      this.priceStrategyOrders = res?.[CONFIG.PRICE_STRATEGIES.STORAGE_KEY] || {};
+    } catch (_) {
+      this.priceStrategyOrders = {};
+    }
+    this.renderPriceStrategyOrder();
+  }
+
+  // Enabled strategies in their order, then the disabled ones
+  renderPriceStrategyOrder() {
+    const category = this.elements.priceStrategyCategory.value;
+    const { STRATEGIES, DEFAULT_ORDERS } = CONFIG.PRICE_STRATEGIES;
+    const order = this.priceStrategyOrders[category] || DEFAULT_ORDERS[category] || DEFAULT_ORDERS.default;
+    const strategies = [
+      ...order.map(id => STRATEGIES.find(strategy => strategy.id === id)).filter(Boolean),
+      ...STRATEGIES.filter(strategy => !order.includes(strategy.id))
+    ];
+    
+    const list = this.elements.priceStrategyOrder;
+    list.replaceChildren();
+    strategies.forEach(strategy => {
+      const li = document.createElement('li');
+      li.dataset.strategy = strategy.id;
+      
+      const label = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = order.includes(strategy.id);
+      checkbox.addEventListener('change', () => this.savePriceStrategyOrder());
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(` ${strategy.label}`));
+      li.appendChild(label);
+      
+      li.appendChild(this.createListAction('↑', `Try "${strategy.label}" earlier`, () => this.movePriceStrategy(li, -1)));
+      li.appendChild(this.createListAction('↓', `Try "${strategy.label}" later`, () => this.movePriceStrategy(li, 1)));
+      list.appendChild(li);
+    });
+    
+    this.elements.priceStrategyReset.disabled = !this.priceStrategyOrders[category];
+  }
+
+  // Moves the row in place so focus stays on the clicked button
+  movePriceStrategy(li, delta) {
+    const sibling = delta < 0 ? li.previousElementSibling : li.nextElementSibling;
+    if (!sibling) return;
+    
+    this.elements.priceStrategyOrder.insertBefore(li, delta < 0 ? sibling : sibling.nextElementSibling);
+    this.savePriceStrategyOrder();
+  }
+
+  async savePriceStrategyOrder() {
+    const category = this.elements.priceStrategyCategory.value;
+    const order = Array.from(this.elements.priceStrategyOrder.children)
+      .filter(li => li.querySelector('input[type="checkbox"]').checked)
+      .map(li => li.dataset.strategy);
+    
+    this.priceStrategyOrders = { ...this.priceStrategyOrders, [category]: order };
+    this.elements.priceStrategyReset.disabled = false;
+    
+    try {
+      await browser.storage.sync.set({ [CONFIG.PRICE_STRATEGIES.STORAGE_KEY]: this.priceStrategyOrders });
+    } catch (error) {
+      console.error('Error saving price strategy order:', error);
+      this.feedback.show('Could not save the price order', 'error');
+    }
+  }
+
+  async resetPriceStrategyOrder() {
+    const { [this.elements.priceStrategyCategory.value]: _reset, ...rest } = this.priceStrategyOrders;
+    this.priceStrategyOrders = rest;
+    this.renderPriceStrategyOrder();
+    
+    try {
+      await browser.storage.sync.set({ [CONFIG.PRICE_STRATEGIES.STORAGE_KEY]: rest });
+    } catch (error) {
+      console.error('Error resetting price strategy order:', error);
+    }
+  }
+
   updateProductDisplay(productInfo) {
     if (!productInfo) return;
     
+    const productChanged = this.currentProduct?.asin !== productInfo.asin;
     this.currentProduct = productInfo;
     
+    // Membership badges belong to the previous product
+    if (productChanged && this.allLists.length > 0) {
+      this.displayLists(this.filteredLists);
+    }
+    if (productChanged) {
+      this.elements.priceAlertPanel.classList.add('hidden');
+    }
+    
     if (productInfo.image) {
       this.elements.productImage.src = productInfo.image;
       this.elements.productImage.style.display = 'block';
@@ -574,14 +1752,159 @@ class SidebarController {
     }
     
     this.elements.productTitle.textContent = productInfo.title || 'Current Product';
-    this.elements.productPrice.textContent = productInfo.price || '';
+    this.elements.productPrice.textContent = this.formatPrice(productInfo.priceAmount, productInfo.currency, productInfo.price || '');
+    const variant = this.variantLabel(productInfo.variant);
+    this.elements.productVariant.textContent = variant;
+    this.elements.productVariant.title = variant ? `Selected variant ${productInfo.asin}` : '';
+    this.elements.productVariant.classList.toggle('hidden', !variant);
+    this.renderProductDetails(productInfo.details || {});
     this.elements.productInfo.classList.remove('hidden');
+    
+    this.loadPriceHistory(productInfo);
+  }
+
+  // "Color: Red · Size: M", or empty for products without variants
+  variantLabel(variant) {
+    return (variant?.dimensions || []).map(d => `${d.name}: ${d.value}`).join(' · ');
+  }
+
+  renderProductDetails(details) {
+    const parts = [];
+    if (details.brand) parts.push(details.brand);
+    if (typeof details.rating === 'number') {
+      const reviews = typeof details.reviewCount === 'number' ? ` (${details.reviewCount.toLocaleString()})` : '';
+      parts.push(`★ ${details.rating.toLocaleString()}${reviews}`);
+    }
+    const stock = details.availability ||
+      (details.inStock === true ? 'In stock' : details.inStock === false ? 'Unavailable' : '');
+    if (stock) parts.push(stock);
+    if (details.prime) parts.push('Prime');
+    if (details.seller) parts.push(`Sold by ${details.seller}`);
+    
+    const meta = this.elements.productMeta;
+    meta.replaceChildren(document.createTextNode(parts.join(' · ')));
+    if (details.canonicalUrl) {
+      const link = document.createElement('a');
+      link.href = details.canonicalUrl;
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+      link.textContent = 'Product page ↗';
+      if (parts.length) meta.appendChild(document.createTextNode(' · '));
+      meta.appendChild(link);
+    }
+    meta.classList.toggle('hidden', !meta.textContent);
+    
+    const breadcrumb = details.breadcrumb || [];
+    this.elements.productBreadcrumb.textContent = breadcrumb.join(' › ');
+    this.elements.productBreadcrumb.classList.toggle('hidden', breadcrumb.length === 0);
+  }
+
+  async loadPriceHistory(productInfo) {
+    if (!productInfo.asin || !productInfo.marketplace) {
+      this.renderPriceHistory(null);
+      return;
+    }
+    
+    try {
+      const resp = await browser.runtime.sendMessage({
+        type: 'GET_PRICE_HISTORY',
+        asin: productInfo.asin,
+        marketplace: productInfo.marketplace
+      });
+      // Another product may have been shown while this was loading
+      if (this.currentProduct?.asin === productInfo.asin) {
+        this.renderPriceHistory(resp?.history || null);
+      }
+    } catch (error) {
+      console.error('Error loading price history:', error);
+    }
+  }
+
+  // Only points from the same source and currency as the latest one are charted,
+  // so a paperback history is never mixed with hardcover or used prices
+  renderPriceHistory(history) {
+    const latest = history?.points?.[history.points.length - 1];
+    if (!latest) {
+      this.elements.priceHistory.classList.add('hidden');
+      return;
+    }
+    
+    const points = history.points.filter(point =>
+      point.source === latest.source && (point.currency || '') === (latest.currency || '')
+    );
+    const amounts = points.map(point => point.amount);
+    const min = Math.min(...amounts);
+    const max = Math.max(...amounts);
+    const low = points.find(point => point.amount === min);
+    const high = points.find(point => point.amount === max);
+    
+    const first = points[0].t;
+    const span = latest.t - first || 1;
+    const range = max - min || 1;
+    const coords = points.map(point => {
+      const x = points.length === 1 ? 50 : ((point.t - first) / span) * 100;
+      const y = max === min ? 12 : 22 - ((point.amount - min) / range) * 20;
+      return `${x.toFixed(2)},${y.toFixed(2)}`;
+    });
+    this.elements.priceHistoryLine.setAttribute('points', coords.join(' '));
+    this.elements.priceHistoryChart.classList.toggle('hidden', points.length < 2);
+    
+    const sourceLabels = {
+      paperback: 'Paperback',
+      hardcover: 'Hardcover',
+      used_and_new: 'Used & new',
+      deal: 'Deal',
+      range: 'Range',
+      subscribe_save: 'Subscribe & Save',
+      kindle: 'Kindle'
+    };
+    const format = point => this.formatPrice(point.amount, point.currency, point.price);
+    const stats = [`Low ${format(low)}`, `High ${format(high)}`, `Now ${format(latest)}`];
+    if (sourceLabels[latest.source]) stats.unshift(sourceLabels[latest.source]);
+    stats.push(`${points.length} ${points.length === 1 ? 'price' : 'prices'} since ${new Date(first).toLocaleDateString()}`);
+    this.elements.priceHistoryStats.textContent = stats.join(' · ');
+    this.elements.priceHistory.classList.remove('hidden');
+  }
+
+  // Shows a parsed price in the user's locale, falling back to Amazon's own text
+  formatPrice(amount, currency, fallback = '') {
+    if (typeof amount !== 'number' || !Number.isFinite(amount) || !currency) return fallback;
+    try {
+      return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(amount);
+    } catch (e) {
+      return fallback;
+    }
+  }
+
+  isProductInList(listId) {
+    const asin = this.currentProduct?.asin;
+    if (!asin || !this.membership || this.membership.asin !== asin) return false;
+    return (this.membership.listIds || []).includes(listId);
+  }
+
+  setProductInList(listId, contains) {
+    const asin = this.currentProduct?.asin;
+    if (!asin) return;
+    
+    if (!this.membership || this.membership.asin !== asin) {
+      this.membership = { asin, listIds: [] };
+    }
+    
+    const listIds = this.membership.listIds.filter(id => id !== listId);
+    if (contains) listIds.push(listId);
+    this.membership = { asin, listIds };
+    
+    this.displayLists(this.filteredLists);
   }
 
   createListItem(list, isRecent = false) {
     const li = document.createElement('li');
     li.className = 'list-item';
     if (isRecent) li.classList.add('recent');
+    li.dataset.listId = list.id;
+    
+    const row = document.createElement('div');
+    row.className = 'list-row';
     
     const button = document.createElement('button');
     button.className = 'list-button';
@@ -596,49 +1919,1702 @@ class SidebarController {
     addIcon.textContent = '+';
     
     button.appendChild(nameSpan);
+    
+    if (list.privacy) {
+      const privacyBadge = document.createElement('span');
+      privacyBadge.className = 'privacy-badge';
+      privacyBadge.textContent = list.privacy;
+      button.appendChild(privacyBadge);
+    }
+    
+    if (this.isProductInList(list.id)) {
+      li.classList.add('in-list');
+      const badge = document.createElement('span');
+      badge.className = 'in-list-badge';
+      badge.textContent = '✓';
+      badge.title = 'Already contains this product';
+      button.appendChild(badge);
+    }
+    
+    if (this.selectMode) {
+      const selected = this.selectedListIds.has(list.id);
+      if (selected) li.classList.add('selected');
+      
+      const selectIcon = document.createElement('span');
+      selectIcon.className = 'select-icon';
+      selectIcon.textContent = selected ? '☑' : '☐';
+      button.appendChild(selectIcon);
+      button.setAttribute('aria-pressed', String(selected));
+      button.addEventListener('click', () => this.toggleListSelection(list.id));
+      
+      row.appendChild(button);
+      li.appendChild(row);
+      return li;
+    }
+    
     button.appendChild(addIcon);
     
+    // Clicking the name browses the list; the rest of the button adds
+    nameSpan.classList.add('clickable');
+    nameSpan.title = `Show items in "${list.name}"`;
+    nameSpan.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.showListDetail(list);
+    });
+    
     button.addEventListener('click', () => this.addToList(list.id, list.name));
     
-    li.appendChild(button);
+    const actions = document.createElement('div');
+    actions.className = 'list-actions';
+    actions.appendChild(this.createListAction('−', `Remove current product from "${list.name}"`, () => {
+      this.confirmRemoveFromList(li, list);
+    }));
+    actions.appendChild(this.createListAction('⇄', `Move current product from "${list.name}" to another list`, () => {
+      this.showMoveToListPanel(li, list);
+    }));
+    actions.appendChild(this.createListAction('✎', `Rename "${list.name}" or change its privacy`, () => {
+      this.showListSettingsPanel(li, list);
+    }));
+    actions.appendChild(this.createListAction('🔔', `Price-drop alerts for items in "${list.name}"`, () => {
+      this.showListAlertPanel(li, list);
+    }));
+    actions.appendChild(this.createListAction('🗑', `Delete list "${list.name}"`, () => {
+      this.showDeleteListPanel(li, list);
+    }));
+    
+    row.appendChild(button);
+    row.appendChild(actions);
+    li.appendChild(row);
     return li;
   }
 
+  createListAction(label, title, onClick) {
+    const action = document.createElement('button');
+    action.className = 'list-action';
+    action.textContent = label;
+    action.title = title;
+    action.setAttribute('aria-label', title);
+    action.addEventListener('click', (e) => {
+      e.stopPropagation();
+      onClick();
+    });
+    return action;
+  }
+
+  // Inline panel below a list item, used for confirmations and small forms.
+  // Only one panel is open at a time; the static notice panels are left alone.
+  openItemPanel(li) {
+    document.querySelectorAll('.list-item-panel:not([id])').forEach(panel => panel.remove());
+    
+    const panel = document.createElement('div');
+    panel.className = 'list-item-panel';
+    li.appendChild(panel);
+    return panel;
+  }
+
+  closeItemPanel(li) {
+    li.querySelector('.list-item-panel')?.remove();
+  }
+
+  async showListAlertPanel(li, list) {
+    const origin = await this.getAmazonOrigin();
+    if (!origin) {
+      this.feedback.show('Open an Amazon page to set alerts for this list.', 'info');
+      return;
+    }
+    
+    const panel = this.openItemPanel(li);
+    this.renderAlertPanel(panel, {
+      scope: 'list',
+      marketplace: this.marketplaces.forUrl(origin).domain,
+      listId: list.id,
+      label: list.name
+    }, () => this.closeItemPanel(li));
+  }
+
+  // Lists the target's alert rules and offers a form to add one
+  async renderAlertPanel(panel, target, onClose = () => panel.classList.add('hidden')) {
+    let rules = [];
+    try {
+      const resp = await browser.runtime.sendMessage({ type: 'GET_ALERT_RULES' });
+      rules = (resp?.rules || []).filter(rule =>
+        rule.scope === target.scope &&
+        rule.marketplace === target.marketplace &&
+        (target.scope === 'item' ? rule.asin === target.asin : rule.listId === target.listId)
+      );
+    } catch (error) {
+      console.error('Error loading alert rules:', error);
+    }
+    
+    panel.replaceChildren();
+    
+    const heading = document.createElement('p');
+    heading.className = 'panel-text';
+    heading.textContent = target.scope === 'item'
+      ? 'Notify me when this product:'
+      : `Notify me when any item in "${target.label}":`;
+    panel.appendChild(heading);
+    
+    const existing = document.createElement('ul');
+    existing.className = 'alert-rules';
+    rules.forEach(rule => {
+      const li = document.createElement('li');
+      li.className = 'operation-item';
+      
+      const text = document.createElement('span');
+      text.className = 'operation-label';
+      text.textContent = rule.type === 'below' ? `drops below ${rule.value}` : `drops by ${rule.value}% or more`;
+      
+      const remove = document.createElement('button');
+      remove.className = 'list-action';
+      remove.textContent = '✕';
+      remove.title = 'Delete alert';
+      remove.addEventListener('click', async () => {
+        await browser.runtime.sendMessage({ type: 'DELETE_ALERT_RULE', ruleId: rule.id }).catch(() => {});
+        this.renderAlertPanel(panel, target, onClose);
+      });
+      
+      li.appendChild(text);
+      li.appendChild(remove);
+      existing.appendChild(li);
+    });
+    panel.appendChild(existing);
+    
+    const typeSelect = document.createElement('select');
+    typeSelect.className = 'panel-select';
+    [['below', 'drops below a price'], ['drop_percent', 'drops by a percentage']].forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      typeSelect.appendChild(option);
+    });
+    
+    const valueInput = document.createElement('input');
+    valueInput.type = 'number';
+    valueInput.className = 'panel-input';
+    valueInput.min = '0';
+    valueInput.step = 'any';
+    valueInput.placeholder = 'Price';
+    typeSelect.addEventListener('change', () => {
+      valueInput.placeholder = typeSelect.value === 'below' ? 'Price' : 'Percent';
+    });
+    
+    const actions = document.createElement('div');
+    actions.className = 'create-actions';
+    actions.appendChild(this.createPanelButton('Add alert', 'btn-primary', () => {
+      this.saveAlertRule(panel, target, typeSelect.value, Number(valueInput.value), onClose);
+    }));
+    actions.appendChild(this.createPanelButton('Close', 'btn-secondary', onClose));
+    
+    panel.appendChild(typeSelect);
+    panel.appendChild(valueInput);
+    panel.appendChild(actions);
+  }
+
+  async saveAlertRule(panel, target, type, value, onClose) {
+    // Ask for the notification permission while the click still counts as user input
+    const granted = await this.permissions.requestPermission('notifications');
+    if (!granted) {
+      this.feedback.show('Price alerts need permission to show notifications', 'warning', 5000);
+      return;
+    }
+    
+    if (!(value > 0) || (type === 'drop_percent' && value >= 100)) {
+      this.feedback.show(type === 'below' ? 'Enter a price above 0' : 'Enter a percentage between 0 and 100', 'warning');
+      return;
+    }
+    
+    try {
+      const resp = await browser.runtime.sendMessage({
+        type: 'SAVE_ALERT_RULE',
+        rule: {
+          scope: target.scope,
+          marketplace: target.marketplace,
+          asin: target.asin,
+          listId: target.listId,
+          label: target.label,
+          currentPrice: target.currentPrice,
+          type,
+          value
+        }
+      });
+      if (!resp?.success) {
+        throw new Error(resp?.error || 'Could not save the alert');
+      }
+      this.feedback.show('Price alert saved', 'success');
+      this.renderAlertPanel(panel, target, onClose);
+    } catch (error) {
+      console.error('Error saving alert rule:', error);
+      this.feedback.show('Could not save the alert', 'error');
+    }
+  }
+
+  createPanelButton(label, className, onClick) {
+    const button = document.createElement('button');
+    button.className = className;
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  confirmRemoveFromList(li, list) {
+    if (!this.currentProduct) {
+      this.feedback.show('Please open an Amazon product page.', 'info');
+      return;
+    }
+    
+    const panel = this.openItemPanel(li);
+    
+    const text = document.createElement('p');
+    text.className = 'panel-text';
+    text.textContent = `Remove "${this.currentProduct.title || 'this product'}" from "${list.name}"?`;
+    
+    const actions = document.createElement('div');
+    actions.className = 'create-actions';
+    
+    const confirmBtn = this.createPanelButton('Remove', 'btn-danger', async () => {
+      confirmBtn.disabled = true;
+      cancelBtn.disabled = true;
+      await this.removeFromList(list.id, list.name);
+      this.closeItemPanel(li);
+    });
+    const cancelBtn = this.createPanelButton('Cancel', 'btn-secondary', () => this.closeItemPanel(li));
+    
+    actions.appendChild(confirmBtn);
+    actions.appendChild(cancelBtn);
+    panel.appendChild(text);
+    panel.appendChild(actions);
+  }
+
+  showMoveToListPanel(li, sourceList) {
+    if (!this.currentProduct?.asin) {
+      this.feedback.show('Please open an Amazon product page.', 'info');
+      return;
+    }
+    
+    const targets = this.allLists.filter(list => list.id !== sourceList.id);
+    if (targets.length === 0) {
+      this.feedback.show('There is no other list to move to', 'info');
+      return;
+    }
+    
+    const panel = this.openItemPanel(li);
+    
+    const label = document.createElement('label');
+    label.className = 'panel-text';
+    label.textContent = `Move "${this.currentProduct.title || 'this product'}" from "${sourceList.name}" to:`;
+    
+    const select = document.createElement('select');
+    select.className = 'panel-select';
+    targets.forEach(list => {
+      const option = document.createElement('option');
+      option.value = list.id;
+      option.textContent = list.name;
+      select.appendChild(option);
+    });
+    
+    const actions = document.createElement('div');
+    actions.className = 'create-actions';
+    
+    const moveBtn = this.createPanelButton('Move', 'btn-primary', async () => {
+      const target = targets.find(list => list.id === select.value);
+      if (!target) return;
+      moveBtn.disabled = true;
+      cancelBtn.disabled = true;
+      select.disabled = true;
+      await this.moveToList(sourceList, target);
+      this.closeItemPanel(li);
+    });
+    const cancelBtn = this.createPanelButton('Cancel', 'btn-secondary', () => this.closeItemPanel(li));
+    
+    actions.appendChild(moveBtn);
+    actions.appendChild(cancelBtn);
+    panel.appendChild(label);
+    panel.appendChild(select);
+    panel.appendChild(actions);
+  }
+
+  showListSettingsPanel(li, list) {
+    const panel = this.openItemPanel(li);
+    
+    const nameLabel = document.createElement('label');
+    nameLabel.className = 'panel-text';
+    nameLabel.textContent = 'List name';
+    
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.className = 'panel-input';
+    nameInput.maxLength = 50;
+    nameInput.value = list.name;
+    
+    const privacyLabel = document.createElement('label');
+    privacyLabel.className = 'panel-text';
+    privacyLabel.textContent = 'Privacy';
+    
+    const privacySelect = document.createElement('select');
+    privacySelect.className = 'panel-select';
+    const options = [...CONFIG.LIST_PRIVACY_OPTIONS];
+    if (list.privacy && !options.some(opt => opt.toLowerCase() === list.privacy.toLowerCase())) {
+      options.unshift(list.privacy);
+    }
+    options.forEach(value => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = value;
+      option.selected = !!list.privacy && value.toLowerCase() === list.privacy.toLowerCase();
+      privacySelect.appendChild(option);
+    });
+    
+    const actions = document.createElement('div');
+    actions.className = 'create-actions';
+    
+    const saveBtn = this.createPanelButton('Save', 'btn-primary', async () => {
+      const changes = {};
+      const newName = nameInput.value.trim();
+      
+      if (!newName) {
+        nameInput.classList.add('input-error');
+        return;
+      }
+      if (newName !== list.name) {
+        const duplicate = this.allLists.find(other =>
+          other.id !== list.id && other.name.toLowerCase() === newName.toLowerCase()
+        );
+        if (duplicate) {
+          this.feedback.show(`A list named "${duplicate.name}" already exists`, 'error');
+          nameInput.classList.add('input-error');
+          return;
+        }
+        changes.name = newName;
+      }
+      if (privacySelect.value.toLowerCase() !== (list.privacy || '').toLowerCase()) {
+        changes.privacy = privacySelect.value;
+      }
+      if (Object.keys(changes).length === 0) {
+        this.closeItemPanel(li);
+        return;
+      }
+      
+      [saveBtn, cancelBtn, nameInput, privacySelect].forEach(el => { el.disabled = true; });
+      const ok = await this.updateListSettings(list, changes);
+      if (ok) {
+        this.closeItemPanel(li);
+      } else {
+        [saveBtn, cancelBtn, nameInput, privacySelect].forEach(el => { el.disabled = false; });
+      }
+    });
+    const cancelBtn = this.createPanelButton('Cancel', 'btn-secondary', () => this.closeItemPanel(li));
+    
+    nameInput.addEventListener('input', () => nameInput.classList.remove('input-error'));
+    nameInput.addEventListener('keypress', (e) => {
+      if (e.key === 'Enter') saveBtn.click();
+    });
+    
+    actions.appendChild(saveBtn);
+    actions.appendChild(cancelBtn);
+    panel.appendChild(nameLabel);
+    panel.appendChild(nameInput);
+    panel.appendChild(privacyLabel);
+    panel.appendChild(privacySelect);
+    panel.appendChild(actions);
+    nameInput.focus();
+  }
+
+  async updateListSettings(list, changes) {
+    this.feedback.show(`Updating "${list.name}"...`, 'loading');
+    
+    try {
+      const resp = await this.sendToActiveTab({
+        type: 'UPDATE_LIST_SETTINGS',
+        listId: list.id,
+        ...changes
+      });
+      
+      if (resp?.error === 'unverified') {
+        this.feedback.show(`Could not confirm the changes to "${list.name}". Check the list on Amazon, then refresh.`, 'warning', 6000);
+        return false;
+      }
+      if (!resp || !resp.updated) {
+        throw new Error(resp?.error || 'Unknown update error');
+      }
+      
+      this.updateStoredList(list.id, {
+        name: resp.list?.name || changes.name || list.name,
+        privacy: resp.list?.privacy || changes.privacy || list.privacy
+      });
+      this.feedback.show(`✓ Updated "${resp.list?.name || changes.name || list.name}"`, 'success');
+      return true;
+    } catch (error) {
+      console.error('Error updating list settings:', error);
+      this.showContentError(error, `Failed to update "${list.name}"`, true);
+      return false;
+    }
+  }
+
+  // Two steps: a warning first, then the list name must be typed exactly
+  showDeleteListPanel(li, list) {
+    const panel = this.openItemPanel(li);
+    
+    const warning = document.createElement('p');
+    warning.className = 'panel-text';
+    warning.textContent = `Delete the list "${list.name}" and everything in it from Amazon? This cannot be undone.`;
+    
+    const actions = document.createElement('div');
+    actions.className = 'create-actions';
+    
+    const continueBtn = this.createPanelButton('Delete list…', 'btn-danger', () => {
+      panel.replaceChildren();
+      
+      const prompt = document.createElement('label');
+      prompt.className = 'panel-text';
+      prompt.textContent = `Type "${list.name}" to confirm`;
+      
+      const confirmInput = document.createElement('input');
+      confirmInput.type = 'text';
+      confirmInput.className = 'panel-input';
+      confirmInput.autocomplete = 'off';
+      
+      const confirmActions = document.createElement('div');
+      confirmActions.className = 'create-actions';
+      
+      const deleteBtn = this.createPanelButton('Delete', 'btn-danger', async () => {
+        if (confirmInput.value !== list.name) return;
+        deleteBtn.disabled = true;
+        cancelConfirmBtn.disabled = true;
+        confirmInput.disabled = true;
+        const ok = await this.deleteList(list);
+        if (!ok) {
+          cancelConfirmBtn.disabled = false;
+          confirmInput.disabled = false;
+          deleteBtn.disabled = confirmInput.value !== list.name;
+        }
+      });
+      deleteBtn.disabled = true;
+      const cancelConfirmBtn = this.createPanelButton('Cancel', 'btn-secondary', () => this.closeItemPanel(li));
+      
+      confirmInput.addEventListener('input', () => {
+        deleteBtn.disabled = confirmInput.value !== list.name;
+      });
+      confirmInput.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') deleteBtn.click();
+      });
+      
+      confirmActions.appendChild(deleteBtn);
+      confirmActions.appendChild(cancelConfirmBtn);
+      panel.appendChild(prompt);
+      panel.appendChild(confirmInput);
+      panel.appendChild(confirmActions);
+      confirmInput.focus();
+    });
+    const cancelBtn = this.createPanelButton('Cancel', 'btn-secondary', () => this.closeItemPanel(li));
+    
+    actions.appendChild(continueBtn);
+    actions.appendChild(cancelBtn);
+    panel.appendChild(warning);
+    panel.appendChild(actions);
+  }
+
+  async deleteList(list) {
+    this.feedback.show(`Deleting "${list.name}"...`, 'loading');
+    
+    try {
+      const resp = await this.sendToActiveTab({
+        type: 'DELETE_LIST',
+        listId: list.id
+      });
+      
+      if (resp?.error === 'unverified') {
+        this.feedback.show(`Could not confirm that "${list.name}" was deleted. Check the list on Amazon, then refresh.`, 'warning', 6000);
+        return false;
+      }
+      if (!resp || !resp.deleted) {
+        throw new Error(resp?.error || 'Unknown delete error');
+      }
+      
+      this.allLists = this.allLists.filter(other => other.id !== list.id);
+      await this.saveListsCache();
+      await this.quickAccess.remove(list.id);
+      if (this.membership) {
+        this.membership = {
+          ...this.membership,
+          listIds: (this.membership.listIds || []).filter(id => id !== list.id)
+        };
+      }
+      
+      this.filterLists(this.statePreserver.restore('searchTerm', ''));
+      this.feedback.show(`✓ Deleted "${list.name}"`, 'success');
+      return true;
+    } catch (error) {
+      console.error('Error deleting list:', error);
+      this.showContentError(error, `Failed to delete "${list.name}"`, true);
+      return false;
+    }
+  }
+
+  // The product the active tab shows now; the last UPDATE_PRODUCT may have
+  // come from another tab
+  async getActiveTabProduct() {
+    const tabsArr = await browser.tabs.query({ active: true, currentWindow: true });
+    const tab = tabsArr?.[0];
+    const marketplace = this.marketplaces.forUrl(tab?.url)?.domain;
+    if (!marketplace) return null;
+    
+    const resp = await browser.tabs.sendMessage(tab.id, { type: 'GET_PRODUCT_INFO' }).catch(() => null);
+    return resp?.success && resp.productInfo?.asin ? { ...resp.productInfo, marketplace } : null;
+  }
+
+  async getActiveTabOrigin() {
+    const tabsArr = await browser.tabs.query({ active: true, currentWindow: true });
+    try {
+      return new URL(tabsArr?.[0]?.url || '').origin;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  async showListDetail(list) {
+    const origin = await this.getAmazonOrigin();
+    if (!origin) {
+      this.feedback.show('Open an Amazon page to browse this list.', 'info');
+      return;
+    }
+    
+    if (this.selectMode) this.setSelectMode(false);
+    
+    this.detail = { list, origin, items: [], nextPageToken: null, loading: false };
+    this.elements.listDetailName.textContent = list.name;
+    this.elements.listDetailItems.innerHTML = '';
+    this.elements.listDetailEmpty.classList.add('hidden');
+    this.elements.listDetailMore.classList.add('hidden');
+    this.elements.sidebarContainer.classList.add('detail-open');
+    this.elements.listDetail.classList.remove('hidden');
+    
+    await this.loadListDetailPage();
+  }
+
+  hideListDetail() {
+    this.detail = null;
+    this.elements.listDetail.classList.add('hidden');
+    this.elements.sidebarContainer.classList.remove('detail-open');
+  }
+
+  async loadListDetailPage() {
+    const detail = this.detail;
+    if (!detail || detail.loading) return;
+    
+    detail.loading = true;
+    this.elements.listDetailMore.classList.add('hidden');
+    this.elements.listDetailLoading.classList.remove('hidden');
+    
+    try {
+      const resp = await browser.runtime.sendMessage({
+        type: 'GET_LIST_ITEMS',
+        listId: detail.list.id,
+        origin: detail.origin,
+        pageToken: detail.nextPageToken
+      });
+      
+      // The user may have left or switched lists while this was loading
+      if (this.detail !== detail) return;
+      
+      if (!resp || !resp.success) {
+        throw new Error(resp?.error || 'Unknown list error');
+      }
+      
+      detail.items.push(...resp.items);
+      detail.nextPageToken = resp.nextPageToken || null;
+      resp.items.forEach(item => {
+        this.elements.listDetailItems.appendChild(this.createDetailItem(item));
+      });
+      
+      this.elements.listDetailEmpty.classList.toggle('hidden', detail.items.length > 0);
+      this.elements.listDetailMore.classList.toggle('hidden', !detail.nextPageToken);
+    } catch (error) {
+      console.error('Error loading list items:', error);
+      if (this.detail === detail) {
+        this.feedback.show(`Could not load "${detail.list.name}"`, 'error');
+        this.elements.listDetailMore.classList.toggle('hidden', detail.items.length === 0 && !detail.nextPageToken);
+      }
+    } finally {
+      detail.loading = false;
+      if (this.detail === detail) {
+        this.elements.listDetailLoading.classList.add('hidden');
+      }
+    }
+  }
+
+  // Follows the list's "show more" chain so the export holds every item
+  async fetchAllListItems(list, origin) {
+    const items = [];
+    let pageToken = null;
+    
+    for (let page = 0; page < CONFIG.EXPORT.MAX_PAGES; page++) {
+      const resp = await browser.runtime.sendMessage({
+        type: 'GET_LIST_ITEMS',
+        listId: list.id,
+        origin,
+        pageToken
+      });
+      if (!resp || !resp.success) {
+        throw new Error(resp?.error || 'Unknown list error');
+      }
+      
+      items.push(...resp.items);
+      pageToken = resp.nextPageToken || null;
+      if (!pageToken) break;
+    }
+    return items;
+  }
+
+  async getAmazonOrigin() {
+    // Another store's lists are fetched from that store
+    if (this.scopePinned && this.marketplaces.get(this.scope?.marketplace)) {
+      return this.marketplaces.origin(this.scope.marketplace);
+    }
+    const origin = await this.getActiveTabOrigin();
+    return this.marketplaces.isMarketplaceUrl(origin) ? origin : null;
+  }
+
+  async exportList(list, kind) {
+    const origin = await this.getAmazonOrigin();
+    if (!origin) {
+      this.feedback.show('Open an Amazon page to export this list.', 'info');
+      return;
+    }
+    
+    this.elements.listDetailExport.disabled = true;
+    this.feedback.show(`Exporting "${list.name}"...`, 'loading');
+    
+    try {
+      const items = await this.fetchAllListItems(list, origin);
+      const text = this.exporter.format(kind, list, items);
+      this.downloadBlob(new Blob([text], { type: this.exporter.mimeType(kind) }), this.exporter.fileName(list, kind));
+      this.feedback.show(`Exported ${items.length} items from "${list.name}"`, 'success');
+    } catch (error) {
+      console.error('Error exporting list:', error);
+      this.feedback.show(`Could not export "${list.name}"`, 'error');
+    } finally {
+      this.elements.listDetailExport.disabled = false;
+    }
+  }
+
+  async exportAllLists(kind) {
+    const origin = await this.getAmazonOrigin();
+    if (!origin) {
+      this.feedback.show('Open an Amazon page to export your lists.', 'info');
+      return;
+    }
+    if (!this.allLists.length) {
+      this.feedback.show('No lists to export yet', 'info');
+      return;
+    }
+    
+    this.elements.exportAllBtn.disabled = true;
+    const archive = new ZipArchive();
+    const usedNames = new Set();
+    const failed = [];
+    
+    try {
+      for (let i = 0; i < this.allLists.length; i++) {
+        const list = this.allLists[i];
+        this.feedback.show(`Exporting ${i + 1} of ${this.allLists.length}: "${list.name}"...`, 'loading');
+        
+        try {
+          const items = await this.fetchAllListItems(list, origin);
+          
+          // Lists can share a name, files in one archive cannot
+          let name = this.exporter.fileName(list, kind);
+          if (usedNames.has(name.toLowerCase())) {
+            name = name.replace(new RegExp(`\\.${kind}$`), ` (${list.id}).${kind}`);
+          }
+          usedNames.add(name.toLowerCase());
+          archive.addFile(name, this.exporter.format(kind, list, items));
+        } catch (error) {
+          console.error(`Error exporting list ${list.id}:`, error);
+          failed.push(list.name);
+        }
+      }
+      
+      if (!archive.entries.length) {
+        throw new Error('No list could be exported');
+      }
+      
+      const stamp = new Date().toISOString().slice(0, 10);
+      this.downloadBlob(archive.toBlob(), `amazon-lists-${stamp}.zip`);
+      
+      if (failed.length) {
+        this.feedback.show(`Exported ${archive.entries.length} lists; could not load ${failed.map(n => `"${n}"`).join(', ')}`, 'warning', 6000);
+      } else {
+        this.feedback.show(`Exported ${archive.entries.length} lists`, 'success');
+      }
+    } catch (error) {
+      console.error('Error exporting lists:', error);
+      this.feedback.show('Could not export your lists', 'error');
+    } finally {
+      this.elements.exportAllBtn.disabled = false;
+    }
+  }
+
+  async downloadBackup() {
+    try {
+      const backup = await this.backupManager.create();
+      const stamp = new Date().toISOString().slice(0, 10);
+      this.downloadBlob(
+        new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' }),
+        `amazon-lists-backup-${stamp}.json`
+      );
+      this.feedback.show('Backup downloaded', 'success');
+    } catch (error) {
+      console.error('Error creating backup:', error);
+      this.feedback.show('Could not create the backup', 'error');
+    }
+  }
+
+  async readBackupFile() {
+    const file = this.elements.restoreFile.files?.[0];
+    this.elements.restoreFile.value = '';
+    if (!file) return;
+    
+    try {
+      if (file.size > CONFIG.BACKUP.MAX_FILE_BYTES) {
+        throw new Error('This file is too large to be a backup');
+      }
+      const backup = await this.backupManager.parse(await file.text());
+      this.showRestoreConfirm(backup);
+    } catch (error) {
+      console.error('Error reading backup:', error);
+      this.feedback.show(`Cannot restore: ${error.message}`, 'error', 6000);
+    }
+  }
+
+  showRestoreConfirm(backup) {
+    const panel = this.elements.restoreConfirm;
+    panel.replaceChildren();
+    
+    const listCount = this.backupManager.countLists(backup);
+    const created = backup.createdAt ? new Date(backup.createdAt).toLocaleString() : 'an unknown date';
+    const text = document.createElement('p');
+    text.className = 'panel-text';
+    text.textContent = `Replace all current data with the backup from ${created} (${listCount} lists)?`;
+    
+    const actions = document.createElement('div');
+    actions.className = 'create-actions';
+    actions.appendChild(this.createPanelButton('Restore', 'btn-danger', () => this.restoreBackup(backup)));
+    actions.appendChild(this.createPanelButton('Cancel', 'btn-secondary', () => {
+      panel.classList.add('hidden');
+      panel.replaceChildren();
+    }));
+    
+    panel.appendChild(text);
+    panel.appendChild(actions);
+    panel.classList.remove('hidden');
+  }
+
+  async restoreBackup(backup) {
+    this.feedback.show('Restoring backup...', 'loading');
+    
+    try {
+      await this.backupManager.restore(backup);
+      // Start over so every part of the sidebar picks up the restored data
+      window.location.reload();
+    } catch (error) {
+      console.error('Error restoring backup:', error);
+      this.feedback.show('Could not restore the backup', 'error');
+    }
+  }
+
+  downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  createDetailItem(item) {
+    const li = document.createElement('li');
+    li.className = 'detail-item';
+    
+    if (item.image) {
+      const img = document.createElement('img');
+      img.src = item.image;
+      img.alt = '';
+      li.appendChild(img);
+    }
+    
+    const info = document.createElement('div');
+    info.className = 'detail-item-info';
+    
+    const title = document.createElement('a');
+    title.className = 'detail-item-title';
+    title.textContent = item.title || item.asin || 'Untitled item';
+    if (item.url) {
+      title.href = item.url;
+      title.addEventListener('click', (e) => {
+        e.preventDefault();
+        browser.tabs.create({ url: item.url });
+      });
+    }
+    
+    const meta = document.createElement('div');
+    meta.className = 'detail-item-meta';
+    
+    if (item.price) {
+      const price = document.createElement('span');
+      price.className = 'detail-item-price';
+      price.textContent = this.formatPrice(item.priceAmount, item.currency, item.price);
+      meta.appendChild(price);
+    }
+    
+    const details = [item.asin, item.dateAdded && `Added ${item.dateAdded}`].filter(Boolean);
+    meta.appendChild(document.createTextNode(details.join(' · ')));
+    
+    info.appendChild(title);
+    info.appendChild(meta);
+    li.appendChild(info);
+    return li;
+  }
+
+  async sendToActiveTab(message) {
+    if (CONFIG.SCOPED_MESSAGE_TYPES.includes(message.type)) {
+      this.checkScopeIsActive();
+    }
+    
+    const tabsArr = await browser.tabs.query({ active: true, currentWindow: true });
+    const activeTab = tabsArr?.[0];
+    
+    if (!activeTab) {
+      throw new Error('No active tab');
+    }
+    
+    const response = await browser.tabs.sendMessage(activeTab.id, message);
+    
+    // Batch responses still carry per-list outcomes, so callers summarise those instead
+    if (response?.cancelled && !Array.isArray(response.results)) {
+      throw new Error('cancelled');
+    }
+    return response;
+  }
+
+  // Accepts a bare ASIN or any Amazon product link; origin is only set for links
+  // Digit-only values are ISBN-10s, so their check digit must hold;
+  // that keeps order numbers and phone numbers out of imports
+  isBareAsin(value) {
+    if (/^B0/i.test(value)) return true;
+    const sum = value.toUpperCase().split('').reduce((total, char, index) => {
+      return total + (char === 'X' ? 10 : Number(char)) * (10 - index);
+    }, 0);
+    return sum % 11 === 0;
+  }
+
+  parseAsinInput(text) {
+    const value = (text || '').trim();
+    if (CONFIG.PRODUCT_DETECTION.BARE_ASIN_PATTERN.test(value)) {
+      return this.isBareAsin(value) ? { asin: value.toUpperCase(), origin: null } : null;
+    }
+    
+    try {
+      const url = new URL(value);
+      const match = url.pathname.match(CONFIG.PRODUCT_DETECTION.ASIN_PATTERN);
+      if (match && this.marketplaces.forHostname(url.hostname)) {
+        return { asin: match[1].toUpperCase(), origin: url.origin };
+      }
+    } catch (_) {}
+    return null;
+  }
+
+  fillAddByLinkLists() {
+    const select = this.elements.addByLinkList;
+    const selected = select.value;
+    select.replaceChildren();
+    
+    this.allLists.forEach(list => {
+      const option = document.createElement('option');
+      option.value = list.id;
+      option.textContent = list.name;
+      option.selected = list.id === selected;
+      select.appendChild(option);
+    });
+  }
+
+  closeAddByLinkForm() {
+    this.elements.addByLinkInput.value = '';
+    this.elements.addByLinkError.classList.add('hidden');
+    this.elements.addByLinkForm.classList.add('hidden');
+    this.elements.addByLinkBtn.classList.remove('hidden');
+  }
+
+  showAddByLinkError(message) {
+    this.elements.addByLinkError.querySelector('.error-text').textContent = message;
+    this.elements.addByLinkError.classList.remove('hidden');
+  }
+
+  async addByLink() {
+    this.elements.addByLinkError.classList.add('hidden');
+    
+    const parsed = this.parseAsinInput(this.elements.addByLinkInput.value);
+    if (!parsed) {
+      this.showAddByLinkError('Paste an Amazon product link, an ASIN or an ISBN-10');
+      return;
+    }
+    
+    const list = this.allLists.find(l => l.id === this.elements.addByLinkList.value);
+    if (!list) {
+      this.showAddByLinkError('Choose a list first');
+      return;
+    }
+    
+    // The lists shown belong to the shown store, so the product is opened there too
+    const origin = await this.getAmazonOrigin() || parsed.origin;
+    if (!origin) {
+      this.showAddByLinkError('Open an Amazon page so the product can be added in that store');
+      return;
+    }
+    
+    this.elements.addByLinkSubmit.disabled = true;
+    this.feedback.show(`Opening ${parsed.asin} and adding to "${list.name}"...`, 'loading');
+    
+    try {
+      const resp = await browser.runtime.sendMessage({
+        type: 'ADD_BY_ASIN',
+        asin: parsed.asin,
+        origin,
+        listId: list.id
+      });
+      
+      if (resp?.error === 'product_page_not_loaded') {
+        this.showAddByLinkError(`Amazon did not show a product page for ${parsed.asin}`);
+        this.feedback.show('Could not open the product', 'error');
+        return;
+      }
+      if (!resp?.outcome) {
+        throw new Error(resp?.error || 'Unknown add error');
+      }
+      
+      // Amazon may redirect to another variant; say which product the outcome is about
+      const redirected = resp.asin && resp.asin !== parsed.asin;
+      this.showAddOutcome(resp, list.name, redirected ? `Amazon opened ${resp.asin} for ${parsed.asin}.` : '');
+      if (resp.success) {
+        await this.quickAccess.add(list.id);
+        this.updateRecentListsDisplay();
+        this.elements.addByLinkInput.value = '';
+      }
+    } catch (error) {
+      console.error('Error adding by link:', error);
+      this.feedback.show(`Failed to add ${parsed.asin} to "${list.name}"`, 'error');
+    } finally {
+      this.elements.addByLinkSubmit.disabled = false;
+    }
+  }
+
+  showImportView() {
+    if (this.selectMode) this.setSelectMode(false);
+    if (this.detail) this.hideListDetail();
+    
+    if (!this.importJob?.running) {
+      this.fillImportTargets();
+    }
+    this.elements.sidebarContainer.classList.add('import-open');
+    this.elements.importView.classList.remove('hidden');
+  }
+
+  // A running import keeps going; reopening the view shows its progress
+  hideImportView() {
+    this.elements.importView.classList.add('hidden');
+    this.elements.sidebarContainer.classList.remove('import-open');
+  }
+
+  fillImportTargets() {
+    const select = this.elements.importTarget;
+    const selected = select.value;
+    select.replaceChildren();
+    
+    this.allLists.forEach(list => {
+      const option = document.createElement('option');
+      option.value = list.id;
+      option.textContent = list.name;
+      select.appendChild(option);
+    });
+    
+    const newOption = document.createElement('option');
+    newOption.value = CONFIG.IMPORT.NEW_LIST_VALUE;
+    newOption.textContent = 'New list…';
+    select.appendChild(newOption);
+    
+    if (selected && Array.from(select.options).some(opt => opt.value === selected)) {
+      select.value = selected;
+    }
+    this.elements.importNewListName.classList.toggle('hidden', select.value !== CONFIG.IMPORT.NEW_LIST_VALUE);
+  }
+
+  async readImportFile() {
+    const file = this.elements.importFile.files?.[0];
+    this.importJob = null;
+    this.elements.importReport.classList.add('hidden');
+    this.elements.importProgress.classList.add('hidden');
+    this.elements.importStart.disabled = true;
+    if (!file) return;
+    
+    try {
+      const parsed = this.parseImportText(await file.text());
+      const summary = [`${parsed.asins.length} products found`];
+      if (parsed.repeated) summary.push(`${parsed.repeated} repeated`);
+      if (parsed.skippedLines) summary.push(`${parsed.skippedLines} lines without an ASIN skipped`);
+      if (parsed.asins.length > CONFIG.IMPORT.MAX_ITEMS) {
+        summary.push(`only the first ${CONFIG.IMPORT.MAX_ITEMS} will be imported`);
+      }
+      
+      this.elements.importSummary.textContent = summary.join(' · ');
+      this.elements.importSummary.classList.remove('hidden');
+      this.importJob = { asins: parsed.asins.slice(0, CONFIG.IMPORT.MAX_ITEMS), results: [], index: 0 };
+      this.elements.importStart.disabled = this.importJob.asins.length === 0;
+    } catch (error) {
+      console.error('Error reading import file:', error);
+      this.feedback.show('Could not read that file', 'error');
+    }
+  }
+
+  // With an "asin" or "url" header only those columns are read; without one
+  // every cell is tried, so extra columns are simply skipped
+  parseImportText(text) {
+    const asins = [];
+    const seen = new Set();
+    let repeated = 0;
+    let skippedLines = 0;
+    
+    const rows = new CsvReader().parse(text);
+    const header = (rows[0] || []).map(cell => cell.toLowerCase());
+    const columns = ['asin', 'url'].map(name => header.indexOf(name)).filter(index => index !== -1);
+    if (columns.length) rows.shift();
+    
+    rows.forEach(row => {
+      const cells = columns.length ? columns.map(index => row[index] || '') : row;
+      const found = cells.map(cell => this.parseAsinInput(cell)).filter(Boolean);
+      if (!found.length) {
+        skippedLines++;
+        return;
+      }
+      
+      found.forEach(({ asin }) => {
+        if (seen.has(asin)) {
+          repeated++;
+        } else {
+          seen.add(asin);
+          asins.push(asin);
+        }
+      });
+    });
+    
+    return { asins, repeated, skippedLines };
+  }
+
+  async startImport() {
+    const job = this.importJob;
+    if (!job || job.running || !job.asins.length) return;
+    
+    const origin = await this.getAmazonOrigin();
+    if (!origin) {
+      this.feedback.show('Open an Amazon product page in the store you are importing into.', 'info');
+      return;
+    }
+    
+    const target = await this.resolveImportTarget();
+    if (!target) return;
+    
+    Object.assign(job, { ...target, origin, running: true, paused: false, stopped: false, index: 0, results: [] });
+    this.setImportRunning(true);
+    this.elements.importReport.classList.add('hidden');
+    this.elements.importProgress.classList.remove('hidden');
+    this.updateImportProgress();
+    
+    while (job.index < job.asins.length && !job.stopped) {
+      if (job.paused) {
+        await new Promise(resolve => { job.resume = resolve; });
+        continue;
+      }
+      
+      const asin = job.asins[job.index];
+      job.results.push(await this.importItem(job, asin));
+      job.index++;
+      this.updateImportProgress();
+      
+      if (job.index < job.asins.length && !job.stopped) {
+        await new Promise(r => setTimeout(r, CONFIG.IMPORT.DELAY_BETWEEN_ITEMS_MS));
+      }
+    }
+    
+    job.running = false;
+    this.setImportRunning(false);
+    this.showImportReport(job);
+    
+    if (job.results.some(r => r.status === 'added' || r.status === 'duplicate')) {
+      await this.quickAccess.add(job.listId);
+      this.updateRecentListsDisplay();
+    }
+  }
+
+  // Uses an existing list, or creates the new one on the open product page
+  async resolveImportTarget() {
+    const value = this.elements.importTarget.value;
+    if (value !== CONFIG.IMPORT.NEW_LIST_VALUE) {
+      const list = this.allLists.find(l => l.id === value);
+      if (!list) this.feedback.show('Choose a list first', 'warning');
+      return list ? { listId: list.id, listName: list.name } : null;
+    }
+    
+    const listName = this.elements.importNewListName.value.trim();
+    if (!listName) {
+      this.feedback.show('Please enter a list name', 'warning');
+      return null;
+    }
+    if (this.allLists.some(list => list.name.toLowerCase() === listName.toLowerCase())) {
+      this.feedback.show(`A list named "${listName}" already exists`, 'error');
+      return null;
+    }
+    
+    this.feedback.show('Creating list...', 'loading');
+    try {
+      const response = await this.sendToActiveTab({ type: 'CREATE_LIST', listName });
+      if (!response?.success) {
+        this.feedback.show(response?.error ? `Could not create the list: ${response.error}` : 'Could not create the list', 'error', 5000);
+        return null;
+      }
+      this.addCreatedList(response.listId, listName);
+      return { listId: response.listId, listName };
+    } catch (error) {
+      this.showContentError(error, 'Failed to create list');
+      return null;
+    }
+  }
+
+  // Runs the normal add in a background product tab; page-load problems are retried
+  async importItem(job, asin) {
+    try {
+      const resp = await this.retryManager.retry(async () => {
+        const result = await browser.runtime.sendMessage({
+          type: 'ADD_BY_ASIN',
+          asin,
+          origin: job.origin,
+          listId: job.listId
+        });
+        if (!result?.outcome) {
+          throw Object.assign(new Error(result?.error || 'Unknown add error'), {
+            retryable: !['invalid_asin', 'invalid_origin'].includes(result?.error)
+          });
+        }
+        return result;
+      }, {
+        shouldRetry: (error) => error.retryable !== false && !job.stopped
+      });
+      
+      if (resp.outcome === 'added') return { asin, status: 'added' };
+      if (resp.outcome === 'already_in_list') return { asin, status: 'duplicate' };
+      const reason = resp.outcome === 'unconfirmed' ? 'Amazon did not confirm the add' : resp.message;
+      return { asin, status: 'failed', reason };
+    } catch (error) {
+      return { asin, status: 'failed', reason: error.message };
+    }
+  }
+
+  toggleImportPause() {
+    const job = this.importJob;
+    if (!job?.running) return;
+    
+    job.paused = !job.paused;
+    if (!job.paused && job.resume) {
+      job.resume();
+      job.resume = null;
+    }
+    this.elements.importPause.textContent = job.paused ? 'Resume' : 'Pause';
+    this.updateImportProgress();
+  }
+
+  stopImport() {
+    const job = this.importJob;
+    if (!job?.running) return;
+    
+    job.stopped = true;
+    job.paused = false;
+    if (job.resume) {
+      job.resume();
+      job.resume = null;
+    }
+    this.updateImportProgress();
+  }
+
+  setImportRunning(running) {
+    this.elements.importStart.disabled = running;
+    this.elements.importFile.disabled = running;
+    this.elements.importTarget.disabled = running;
+    this.elements.importNewListName.disabled = running;
+    this.elements.importPause.textContent = 'Pause';
+    this.elements.importPause.classList.toggle('hidden', !running);
+    this.elements.importStop.classList.toggle('hidden', !running);
+  }
+
+  updateImportProgress() {
+    const job = this.importJob;
+    const total = job.asins.length;
+    this.elements.importProgressBar.max = total;
+    this.elements.importProgressBar.value = job.index;
+    
+    let text = `${job.index} of ${total} into "${job.listName}"`;
+    if (job.stopped) {
+      text += ' · stopping after the current item';
+    } else if (job.paused) {
+      text += ' · paused';
+    }
+    this.elements.importProgressText.textContent = text;
+  }
+
+  showImportReport(job) {
+    const count = (status) => job.results.filter(r => r.status === status).length;
+    const added = count('added');
+    const duplicates = count('duplicate');
+    const failed = count('failed');
+    const notRun = job.asins.length - job.results.length;
+    
+    const parts = [`${added} added`, `${duplicates} already in the list`, `${failed} failed`];
+    if (notRun) parts.push(`${notRun} not attempted`);
+    this.elements.importReportSummary.textContent = parts.join(' · ');
+    
+    const list = this.elements.importReportList;
+    list.replaceChildren();
+    job.results.filter(r => r.status !== 'added').forEach(result => {
+      const li = document.createElement('li');
+      li.className = result.status === 'duplicate' ? 'import-duplicate' : 'import-failed';
+      li.textContent = result.status === 'duplicate'
+        ? `${result.asin}: already in the list`
+        : `${result.asin}: ${result.reason || 'failed'}`;
+      list.appendChild(li);
+    });
+    
+    this.elements.importReport.classList.remove('hidden');
+    this.feedback.show(`Import finished: ${parts.join(', ')}`, failed ? 'warning' : 'success', 6000);
+  }
+
+  async loadPendingJobs() {
+    try {
+      const resp = await browser.runtime.sendMessage({ type: 'GET_PENDING_JOBS' });
+      if (resp?.success) {
+        this.renderPendingJobs(resp.jobs);
+      }
+    } catch (error) {
+      console.error('Error loading pending jobs:', error);
+    }
+  }
+
+  renderPendingJobs(jobs = []) {
+    const list = this.elements.pendingJobsList;
+    list.replaceChildren();
+    
+    jobs.forEach(job => {
+      const li = document.createElement('li');
+      li.className = `operation-item pending-job-${job.status}`;
+      
+      const info = document.createElement('div');
+      info.className = 'pending-job-info';
+      
+      const label = document.createElement('span');
+      label.className = 'operation-label';
+      label.textContent = `${job.title || job.asin} → "${job.listName}"`;
+      label.title = label.textContent;
+      
+      const status = document.createElement('span');
+      status.className = 'operation-status';
+      status.textContent = `${job.marketplace} · ${this.describePendingJob(job)}`;
+      
+      info.appendChild(label);
+      info.appendChild(status);
+      li.appendChild(info);
+      
+      const retry = document.createElement('button');
+      retry.className = 'list-action';
+      retry.textContent = '↻';
+      retry.title = 'Retry now';
+      retry.disabled = job.status === 'running';
+      retry.addEventListener('click', () => this.retryPendingJob(job));
+      
+      const discard = document.createElement('button');
+      discard.className = 'list-action';
+      discard.textContent = '✕';
+      discard.title = 'Discard';
+      discard.addEventListener('click', () => this.discardPendingJob(job));
+      
+      li.appendChild(retry);
+      li.appendChild(discard);
+      list.appendChild(li);
+    });
+    
+    this.elements.pendingJobs.classList.toggle('hidden', jobs.length === 0);
+  }
+
+  describePendingJob(job) {
+    if (job.status === 'running') return 'Running…';
+    if (job.status === 'failed') return `Failed: ${job.lastError}`;
+    return 'Waiting for the product page';
+  }
+
+  async retryPendingJob(job) {
+    this.feedback.show(`Retrying add to "${job.listName}"...`, 'loading');
+    
+    try {
+      const resp = await browser.runtime.sendMessage({ type: 'RETRY_PENDING_JOB', jobId: job.id });
+      if (resp?.waiting || resp?.deferred) {
+        this.feedback.show(`Open ${job.title || job.asin} on ${job.marketplace} to finish the add`, 'info', 5000);
+      } else if (resp?.outcome) {
+        this.showAddOutcome(resp, job.listName);
+      } else if (!resp?.success) {
+        throw new Error(resp?.error || 'Retry failed');
+      }
+    } catch (error) {
+      console.error('Error retrying pending job:', error);
+      this.feedback.show(`Could not retry the add to "${job.listName}"`, 'error');
+    }
+  }
+
+  async discardPendingJob(job) {
+    try {
+      await browser.runtime.sendMessage({ type: 'DISCARD_PENDING_JOB', jobId: job.id });
+      this.feedback.show(`Discarded the add to "${job.listName}"`, 'info');
+    } catch (error) {
+      console.error('Error discarding pending job:', error);
+      this.feedback.show('Could not discard the job', 'error');
+    }
+  }
+
+  async loadOperations() {
+    try {
+      const resp = await this.sendToActiveTab({ type: 'GET_OPERATIONS' });
+      if (resp?.success) {
+        this.renderOperations(resp.operations);
+      }
+    } catch (_) {
+      // No content script on this tab, so nothing can be running
+      this.renderOperations([]);
+    }
+  }
+
+  async handleOperationsUpdate(message) {
+    const tabsArr = await browser.tabs.query({ active: true, currentWindow: true });
+    if (message.tabId && tabsArr?.[0]?.id !== message.tabId) return;
+    this.renderOperations(message.operations);
+  }
+
+  renderOperations(operations = []) {
+    const active = operations.filter(op => op.status === 'queued' || op.status === 'running');
+    const list = this.elements.operationsList;
+    list.replaceChildren();
+    
+    active.forEach(op => {
+      const li = document.createElement('li');
+      li.className = `operation-item operation-${op.status}`;
+      
+      const label = document.createElement('span');
+      label.className = 'operation-label';
+      label.textContent = op.label;
+      
+      const status = document.createElement('span');
+      status.className = 'operation-status';
+      if (op.cancelRequested) {
+        status.textContent = 'Cancelling…';
+      } else {
+        status.textContent = op.status === 'running' ? 'Running…' : 'Queued';
+      }
+      
+      const cancel = document.createElement('button');
+      cancel.className = 'list-action';
+      cancel.textContent = '✕';
+      cancel.title = 'Cancel';
+      cancel.disabled = !!op.cancelRequested;
+      cancel.addEventListener('click', () => this.cancelOperation(op.id));
+      
+      li.appendChild(label);
+      li.appendChild(status);
+      li.appendChild(cancel);
+      list.appendChild(li);
+    });
+    
+    this.elements.operationsPanel.classList.toggle('hidden', active.length === 0);
+  }
+
+  async cancelOperation(operationId) {
+    try {
+      const resp = await this.sendToActiveTab({ type: 'CANCEL_OPERATION', operationId });
+      if (!resp?.success) {
+        this.feedback.show('That operation has already finished', 'info');
+      }
+    } catch (error) {
+      this.showContentError(error, 'Could not cancel the operation');
+    }
+  }
+
+  showContentError(error, fallbackMessage, withDetail = false) {
+    const msg = error?.message || '';
+    
+    if (msg === 'No active tab') {
+      this.feedback.show('No active tab', 'error');
+    } else if (/Receiving end does not exist|Could not establish connection/i.test(msg)) {
+      this.feedback.show('Could not connect to Amazon page. Open a product page and try again.', 'error');
+    } else if (msg === 'not_on_product_page') {
+      this.feedback.show('Please open an Amazon product page.', 'info');
+    } else if (msg === 'cancelled') {
+      this.feedback.show('Operation cancelled', 'info');
+    } else if (msg === 'other_scope') {
+      this.feedback.show(`These lists belong to ${ListScopeCache.label(this.scope)}. Switch back to this tab's store to change them.`, 'info', 5000);
+    } else if (withDetail && msg) {
+      this.feedback.show(`${fallbackMessage}: ${msg}`, 'error', 5000);
+    } else {
+      this.feedback.show(fallbackMessage, 'error');
+    }
+  }
+
+  // Goes through the background so the add survives the page or sidebar closing
   async addToList(listId, listName) {
-    this.feedback.show(`Adding to "${listName}"...`, 'loading');
+    const variant = this.variantLabel(this.currentProduct?.variant);
+    this.feedback.show(`Adding ${variant ? `${variant} ` : ''}to "${listName}"...`, 'loading');
     
     try {
       const tabsArr = await browser.tabs.query({ active: true, currentWindow: true });
-      const activeTab = tabsArr?.[0];
+      if (!tabsArr?.[0]) throw new Error('No active tab');
+      this.checkScopeIsActive();
       
-      if (!activeTab) {
-        this.feedback.show('No active tab', 'error');
+      // The background reads the product from the tab itself
+      const resp = await browser.runtime.sendMessage({
+        type: 'DISPATCH_ADD_TO_LIST',
+        tabId: tabsArr[0].id,
+        listId,
+        listName
+      });
+      
+      if (resp?.deferred) {
+        this.feedback.show(`The add to "${listName}" will finish when the product page is open again`, 'warning', 6000);
         return;
       }
+      if (resp?.cancelled) throw new Error('cancelled');
       
-      const resp = await browser.tabs.sendMessage(activeTab.id, {
-        type: 'ADD_TO_LIST',
+      if (!resp || !resp.outcome || (resp.outcome === 'error' && !resp.message)) {
+        throw new Error(resp?.error || 'Unknown add error');
+      }
+      
+      this.showAddOutcome(resp, listName);
+      if (resp.success) {
+        await this.quickAccess.add(listId);
+        this.updateRecentListsDisplay();
+        this.setProductInList(listId, true);
+      }
+    } catch (error) {
+      console.error('Error adding to list:', error);
+      this.showContentError(error, `Failed to add to "${listName}"`);
+    }
+  }
+
+  // Names the variant Amazon actually filed, as the content script read it at the click
+  // note is appended to whichever outcome message is shown
+  showAddOutcome(result, listName, note = '') {
+    const variant = this.variantLabel(result.variant);
+    const which = variant ? ` (${variant})` : '';
+    const suffix = note ? ` ${note}` : '';
+    const duration = note ? 6000 : null;
+    switch (result.outcome) {
+      case 'added':
+        this.feedback.show(`✓ Added to "${listName}"${which}${suffix}`, 'success', duration);
+        break;
+      case 'already_in_list':
+        this.feedback.show(`Already in "${listName}"${which}${suffix}`, 'info', duration);
+        break;
+      case 'unconfirmed':
+        this.feedback.show(`Amazon did not confirm the add to "${listName}". Check the list before trying again.${suffix}`, 'warning', 6000);
+        break;
+      default:
+        this.feedback.show(`Amazon could not add to "${listName}": ${result.message}${suffix}`, 'error', 6000);
+    }
+  }
+
+  async removeFromList(listId, listName) {
+    this.feedback.show(`Removing from "${listName}"...`, 'loading');
+    
+    try {
+      const resp = await this.sendToActiveTab({
+        type: 'REMOVE_FROM_LIST',
         listId
       });
       
-      if (!resp || !resp.success) {
+      if (resp?.removed) {
+        this.feedback.show(`✓ Removed from "${listName}"`, 'success');
+        this.setProductInList(listId, false);
+        return true;
+      }
+      
+      if (resp?.reason === 'not_in_list') {
+        this.feedback.show(`Not in "${listName}" — nothing was removed`, 'info');
+        this.setProductInList(listId, false);
+        return false;
+      }
+      
+      if (resp?.reason === 'still_in_list') {
+        this.feedback.show(`Amazon did not remove the item from "${listName}"`, 'error');
+        return false;
+      }
+      
+      if (resp?.reason === 'unverified') {
+        this.feedback.show(resp.attempted
+          ? `Could not confirm that the item left "${listName}". Check the list on Amazon.`
+          : `Could not find the item in "${listName}", so nothing was removed. Check the list on Amazon.`, 'warning', 6000);
+        return false;
+      }
+      
+      throw new Error(resp?.error || 'Unknown remove error');
+    } catch (error) {
+      console.error('Error removing from list:', error);
+      this.showContentError(error, `Failed to remove from "${listName}"`);
+      return false;
+    }
+  }
+
+  async moveToList(sourceList, targetList, asin = this.currentProduct?.asin) {
+    this.feedback.show(`Moving to "${targetList.name}"...`, 'loading');
+    
+    try {
+      const resp = await this.sendToActiveTab({
+        type: 'MOVE_TO_LIST',
+        sourceListId: sourceList.id,
+        targetListId: targetList.id,
+        targetListName: targetList.name,
+        asin
+      });
+      
+      if (resp?.moved) {
+        this.feedback.show(`✓ Moved from "${sourceList.name}" to "${targetList.name}"`, 'success');
+        await this.quickAccess.add(targetList.id);
+        this.updateRecentListsDisplay();
+        if (asin === this.currentProduct?.asin) {
+          this.setProductInList(sourceList.id, false);
+          this.setProductInList(targetList.id, true);
+        }
+        return true;
+      }
+      
+      const reasons = {
+        not_in_source: `The item is not in "${sourceList.name}"`,
+        not_in_target: `Amazon did not move the item to "${targetList.name}"`,
+        still_in_source: `The item is in "${targetList.name}" but is still in "${sourceList.name}"`
+      };
+      if (resp?.reason && reasons[resp.reason]) {
+        this.feedback.show(reasons[resp.reason], resp.reason === 'not_in_source' ? 'info' : 'error', 5000);
+        return false;
+      }
+      if (resp?.reason === 'unverified') {
+        this.feedback.show(resp.attempted
+          ? `Could not confirm the move to "${targetList.name}". Check both lists on Amazon.`
+          : `Could not find the item in "${sourceList.name}", so nothing was moved. Check the list on Amazon.`, 'warning', 6000);
+        return false;
+      }
+      
+      throw new Error(resp?.error || 'Unknown move error');
+    } catch (error) {
+      console.error('Error moving item:', error);
+      this.showContentError(error, `Failed to move to "${targetList.name}"`);
+      return false;
+    }
+  }
+
+  setSelectMode(enabled) {
+    this.selectMode = enabled;
+    this.selectedListIds.clear();
+    
+    this.elements.selectModeBtn.classList.toggle('active', enabled);
+    this.elements.selectModeBtn.textContent = enabled ? 'Done' : 'Select';
+    this.elements.selectionBar.classList.toggle('hidden', !enabled);
+    
+    this.updateSelectionBar();
+    this.displayLists(this.filteredLists);
+  }
+
+  toggleListSelection(listId) {
+    if (this.selectedListIds.has(listId)) {
+      this.selectedListIds.delete(listId);
+    } else {
+      this.selectedListIds.add(listId);
+    }
+    
+    this.updateSelectionBar();
+    this.displayLists(this.filteredLists);
+  }
+
+  updateSelectionBar() {
+    const count = this.selectedListIds.size;
+    this.elements.selectionCount.textContent = `${count} selected`;
+    this.elements.addSelectedBtn.disabled = count === 0;
+  }
+
+  async addToSelectedLists() {
+    // Keep the order the lists are shown in
+    const lists = this.allLists.filter(list => this.selectedListIds.has(list.id));
+    if (lists.length === 0) return;
+    
+    this.elements.addSelectedBtn.disabled = true;
+    const done = await this.addToLists(lists);
+    
+    if (done) {
+      this.setSelectMode(false);
+    } else {
+      this.updateSelectionBar();
+    }
+  }
+
+  async addToLists(lists) {
+    this.feedback.show(`Adding to ${lists.length} lists...`, 'loading');
+    
+    try {
+      const resp = await this.sendToActiveTab({
+        type: 'ADD_TO_LISTS',
+        listIds: lists.map(list => list.id),
+        asin: this.currentProduct?.asin
+      });
+      
+      if (!resp || !Array.isArray(resp.results)) {
         throw new Error(resp?.error || 'Unknown add error');
       }
       
-      this.feedback.show(`✓ Added to "${listName}"`, 'success');
-      await this.quickAccess.add(listId);
+      const nameOf = (listId) => lists.find(list => list.id === listId)?.name || listId;
+      const namesWith = (outcome) => resp.results
+        .filter(r => r.outcome === outcome)
+        .map(r => `"${nameOf(r.listId)}"`);
+      
+      for (const result of resp.results.filter(r => r.success)) {
+        await this.quickAccess.add(result.listId);
+        this.setProductInList(result.listId, true);
+      }
       this.updateRecentListsDisplay();
-    } catch (error) {
-      console.error('Error adding to list:', error);
-      const msg = error?.message || '';
       
-      if (/Receiving end does not exist|Could not establish connection/i.test(msg)) {
-        this.feedback.show('Could not connect to Amazon page. Open a product page and try again.', 'error');
-      } else if (msg === 'not_on_product_page') {
-        this.feedback.show('Please open an Amazon product page.', 'info');
-      } else {
-        this.feedback.show(`Failed to add to "${listName}"`, 'error');
+      const added = namesWith('added');
+      const already = namesWith('already_in_list');
+      const unconfirmed = namesWith('unconfirmed');
+      const failed = namesWith('error');
+      const cancelled = namesWith('cancelled');
+      
+      const variant = this.variantLabel(resp.results.find(r => r.variant)?.variant);
+      const parts = [`Added ${variant ? `${variant} ` : ''}to ${added.length} of ${resp.results.length} lists`];
+      if (already.length) parts.push(`already in ${already.join(', ')}`);
+      if (unconfirmed.length) parts.push(`not confirmed: ${unconfirmed.join(', ')}`);
+      if (failed.length) parts.push(`failed: ${failed.join(', ')}`);
+      if (cancelled.length) parts.push(`cancelled: ${cancelled.join(', ')}`);
+      
+      let type = 'success';
+      if (failed.length || unconfirmed.length || cancelled.length) {
+        type = (added.length || already.length) ? 'warning' : 'error';
       }
+      this.feedback.show(`${type === 'success' ? '✓ ' : ''}${parts.join('; ')}`, type, type === 'success' ? null : 6000);
+      
+      return true;
+    } catch (error) {
+      console.error('Error adding to lists:', error);
+      this.showContentError(error, `Failed to add to ${lists.length} lists`);
+      return false;
     }
   }
 